@@ -0,0 +1,105 @@
+// Audit trail of staff and admin changes: who did what to which record, with the record
+// as it was before and after. Entries are written on the same connection as the change,
+// so a rolled-back transaction leaves no entry behind.
+
+export const AUDIT_ENTITIES = ["product", "user", "order", "notification"];
+
+// Never copied into a snapshot
+const REDACTED_COLUMNS = ["password"];
+
+const redact = (row) => {
+  if (!row) return null;
+  const copy = { ...row };
+  for (const column of REDACTED_COLUMNS) delete copy[column];
+  return copy;
+};
+
+// How each entity is captured. Products include their variants and gallery so stock and
+// image changes show up in the diff.
+const SNAPSHOTS = {
+  product: async (executor, id) => {
+    const [rows] = await executor.query("SELECT * FROM products WHERE id=?", [id]);
+    if (!rows.length) return null;
+    const [variants] = await executor.query(
+      "SELECT id, sku, name, attributes, price, stock, position FROM product_variants WHERE product_id=? ORDER BY position, id",
+      [id]
+    );
+    const [images] = await executor.query(
+      "SELECT id, image_url, position, is_primary FROM product_images WHERE product_id=? ORDER BY position, id",
+      [id]
+    );
+    return { ...rows[0], variants, images };
+  },
+  user: async (executor, id) => {
+    const [rows] = await executor.query("SELECT * FROM users WHERE id=?", [id]);
+    return redact(rows[0]);
+  },
+  order: async (executor, id) => {
+    const [rows] = await executor.query("SELECT * FROM orders WHERE id=?", [id]);
+    return rows[0] ?? null;
+  },
+  notification: async (executor, id) => {
+    const [rows] = await executor.query("SELECT * FROM notifications WHERE id=?", [id]);
+    return rows[0] ?? null;
+  }
+};
+
+export const createAuditLog = (db) => ({
+  // Current state of a record, or null when it doesn't exist. Pass the transaction's
+  // connection to read rows it has locked or changed.
+  async snapshot(entity, id, executor = db) {
+    const load = SNAPSHOTS[entity];
+    if (!load) throw new Error(`Unknown audit entity: ${entity}`);
+    return load(executor, id);
+  },
+
+  // entry: { action, entity, entityId, before, after }. The actor comes from the session.
+  async record(req, { action, entity, entityId = null, before = null, after = null }, executor = db) {
+    if (!SNAPSHOTS[entity]) throw new Error(`Unknown audit entity: ${entity}`);
+    const actor = req.session?.user ?? null;
+    await executor.query(
+      `INSERT INTO audit_log
+         (actor_id, actor_name, actor_role, action, entity, entity_id, before_data, after_data, ip_address, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [
+        actor?.id ?? null, actor?.name ?? null, actor?.role ?? null,
+        action, entity, entityId,
+        before ? JSON.stringify(redact(before)) : null,
+        after ? JSON.stringify(redact(after)) : null,
+        req.ip ?? null
+      ]
+    );
+  },
+
+  // filters: { entity, entity_id, actor_id, action, from, to } (dates as YYYY-MM-DD)
+  async list(filters, { limit, offset }) {
+    const conditions = [];
+    const params = [];
+
+    for (const key of ["entity", "entity_id", "actor_id", "action"]) {
+      if (filters[key] === undefined) continue;
+      conditions.push(`${key} = ?`);
+      params.push(filters[key]);
+    }
+    if (filters.from) {
+      conditions.push("created_at >= ?");
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      conditions.push("created_at < DATE_ADD(?, INTERVAL 1 DAY)");
+      params.push(filters.to);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total FROM audit_log ${where}`, params);
+    const [rows] = await db.query(
+      `SELECT id, actor_id, actor_name, actor_role, action, entity, entity_id,
+         before_data AS \`before\`, after_data AS \`after\`, ip_address, created_at
+       FROM audit_log ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return { rows, total };
+  }
+});
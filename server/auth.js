@@ -0,0 +1,67 @@
+// Role-based authorization built on top of req.session.user
+
+export const ROLES = ["admin", "staff", "customer"];
+
+// Permission map: which roles may perform which action
+export const PERMISSIONS = {
+  "dashboard:access": ["admin", "staff"],
+  "products:write": ["admin", "staff"],
+  "orders:read": ["admin", "staff"],
+  "orders:update_status": ["admin", "staff"],
+  "reports:read": ["admin", "staff"],
+  "inventory:read": ["admin", "staff"],
+  "inventory:manage": ["admin", "staff"],
+  "delivery:manage": ["admin", "staff"],
+  "payments:manage": ["admin", "staff"],
+  "coupons:manage": ["admin", "staff"],
+  "notifications:read": ["admin", "staff"],
+  "notifications:manage": ["admin", "staff"],
+  "users:manage": ["admin"],
+  "audit:read": ["admin"]
+};
+
+export const isValidRole = (role) => ROLES.includes(role);
+
+export const hasPermission = (user, permission) => {
+  if (!user) return false;
+  const allowed = PERMISSIONS[permission];
+  if (!allowed) throw new Error(`Unknown permission: ${permission}`);
+  return allowed.includes(user.role);
+};
+
+// Any logged-in user
+export const requireAuth = (req, res, next) => {
+  if (!req.session.user) {
+    return res.status(401).json({ error: "Unauthorized. Login required." });
+  }
+  next();
+};
+
+export const requirePermission = (permission) => {
+  // Fail at startup on typos instead of silently denying every request
+  if (!PERMISSIONS[permission]) throw new Error(`Unknown permission: ${permission}`);
+
+  return (req, res, next) => {
+    const user = req.session.user;
+    if (!user) {
+      return res.status(401).json({ error: "Unauthorized. Login required." });
+    }
+    if (!hasPermission(user, permission)) {
+      return res.status(403).json({ error: "Forbidden. You do not have permission to perform this action." });
+    }
+    next();
+  };
+};
+
+export const requireRole = (...roles) => (req, res, next) => {
+  const user = req.session.user;
+  if (!user) {
+    return res.status(401).json({ error: "Unauthorized. Login required." });
+  }
+  if (!roles.includes(user.role)) {
+    return res.status(403).json({ error: "Forbidden. You do not have permission to perform this action." });
+  }
+  next();
+};
+
+export const requireAdmin = requireRole("admin");
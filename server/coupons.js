@@ -0,0 +1,72 @@
+// Discount codes: validating admin input and working out what a code takes off a cart
+
+export const DISCOUNT_TYPES = ["percent", "fixed"];
+
+// Codes are matched case-insensitively and stored upper-case
+export const normalizeCouponCode = (code) =>
+  typeof code === "string" && code.trim() ? code.trim().toUpperCase() : null;
+
+export const COUPON_CODE_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Turns a validated coupon body into column values; fields the body left out stay out
+export const couponFromBody = (body) => {
+  const coupon = {};
+  for (const key of [
+    "description", "discount_type", "amount", "min_subtotal",
+    "usage_limit", "per_customer_limit", "starts_at", "ends_at"
+  ]) {
+    if (body[key] !== undefined) coupon[key] = body[key];
+  }
+  if (body.code !== undefined) coupon.code = normalizeCouponCode(body.code);
+  if (body.active !== undefined) coupon.active = body.active ? 1 : 0;
+  if (body.product_ids) coupon.product_ids = [...new Set(body.product_ids)];
+  if (body.categories) coupon.categories = [...new Set(body.categories)];
+  return coupon;
+};
+
+// Rules that span fields. Run on the stored coupon merged with the change when updating.
+// Returns an error message or null.
+export const couponRuleError = ({ discount_type, amount, starts_at, ends_at }) => {
+  if (discount_type === "percent" && Number(amount) > 100) return "A percent discount cannot exceed 100";
+  if (starts_at && ends_at && new Date(ends_at) <= new Date(starts_at)) return "ends_at must be after starts_at";
+  return null;
+};
+
+// coupon: a coupons row plus product_ids and categories (both empty = whole cart)
+// lines: [{ product_id, category, total }]
+// usage: { total, customer } redemptions by live orders; customer is null for guests
+// Returns { discount, eligible_subtotal } or { error }
+export const evaluateCoupon = (coupon, lines, { usage = { total: 0, customer: 0 }, now = new Date() } = {}) => {
+  if (!coupon.active) return { error: "This code is not active" };
+  if (coupon.starts_at && now < new Date(coupon.starts_at)) return { error: "This code is not valid yet" };
+  if (coupon.ends_at && now > new Date(coupon.ends_at)) return { error: "This code has expired" };
+  if (coupon.usage_limit != null && usage.total >= coupon.usage_limit) {
+    return { error: "This code has reached its usage limit" };
+  }
+  if (coupon.per_customer_limit != null) {
+    if (usage.customer === null) return { error: "Log in to use this code" };
+    if (usage.customer >= coupon.per_customer_limit) return { error: "You have already used this code" };
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + Number(line.total), 0);
+  if (coupon.min_subtotal != null && subtotal < Number(coupon.min_subtotal)) {
+    return { error: `Spend at least ${Number(coupon.min_subtotal).toFixed(2)} to use this code` };
+  }
+
+  const scoped = coupon.product_ids.length || coupon.categories.length;
+  const eligibleSubtotal = lines
+    .filter(line => !scoped || coupon.product_ids.includes(line.product_id) || coupon.categories.includes(line.category))
+    .reduce((sum, line) => sum + Number(line.total), 0);
+  if (!eligibleSubtotal) return { error: "This code does not apply to any item in the cart" };
+
+  const discount = coupon.discount_type === "percent"
+    ? eligibleSubtotal * Number(coupon.amount) / 100
+    : Number(coupon.amount);
+
+  return {
+    discount: roundMoney(Math.min(discount, eligibleSubtotal)),
+    eligible_subtotal: roundMoney(eligibleSubtotal)
+  };
+};
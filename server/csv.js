@@ -0,0 +1,79 @@
+// Minimal RFC 4180 CSV reading and writing
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+// Cells that would look guarded after import get an apostrophe too, so they come back unchanged
+const GUARDED_PREFIX = /^'+[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && (FORMULA_PREFIX.test(text) || GUARDED_PREFIX.test(text))) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// rows: array of objects; columns: keys to write, in order
+export const toCSV = (rows, columns) => {
+  const lines = [columns.map(escapeCell).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map(col => escapeCell(row[col])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+};
+
+// Returns an array of records (arrays of strings)
+export const parseCSV = (text) => {
+  const input = String(text).replace(/^\uFEFF/, "");
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) throw new Error("Unterminated quoted field");
+  if (field !== "" || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Drop blank lines
+  return records.filter(r => r.length > 1 || r[0] !== "");
+};
+
+// Undoes the apostrophe toCSV puts in front of formula-like cells
+const unguardCell = (text) => GUARDED_PREFIX.test(text) ? text.slice(1) : text;
+
+// First record is the header; returns objects keyed by lower-cased header names
+export const parseCSVObjects = (text) => {
+  const [header, ...records] = parseCSV(text);
+  if (!header) return [];
+  const keys = header.map(h => h.trim().toLowerCase());
+  return records.map(record => Object.fromEntries(keys.map((key, i) => [key, unguardCell((record[i] ?? "").trim())])));
+};
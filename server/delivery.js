@@ -0,0 +1,50 @@
+import { DATE_PATTERN } from "./validation.js";
+
+// Delivery calendar helpers. Dates are "YYYY-MM-DD" strings in server local time,
+// slot times are "HH:MM[:SS]" strings as MySQL returns TIME columns.
+
+export const MAX_CALENDAR_DAYS = 31;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+export const formatDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const parseDate = (value) => {
+  if (typeof value !== "string" || !DATE_PATTERN.test(value)) return null;
+  const [year, month, day] = value.split("-").map(Number);
+  const date = new Date(year, month - 1, day);
+  // Rejects impossible dates such as 2025-02-31
+  return formatDate(date) === value ? date : null;
+};
+
+// Every date from `from` to `to`, inclusive
+export const datesBetween = (from, to) => {
+  const dates = [];
+  const cursor = parseDate(from);
+  const end = parseDate(to);
+  while (cursor <= end) {
+    dates.push(formatDate(cursor));
+    cursor.setDate(cursor.getDate() + 1);
+  }
+  return dates;
+};
+
+// days_of_week is a comma-separated list of weekday numbers (0 = Sunday); empty means every day
+export const parseDaysOfWeek = (value) =>
+  value ? String(value).split(",").map(Number).filter(n => Number.isInteger(n) && n >= 0 && n <= 6) : [];
+
+export const slotRunsOn = (slot, date) => {
+  const days = parseDaysOfWeek(slot.days_of_week);
+  return !days.length || days.includes(parseDate(date).getDay());
+};
+
+export const slotStartsAt = (slot, date) => {
+  const [hours, minutes] = String(slot.start_time).split(":").map(Number);
+  const start = parseDate(date);
+  start.setHours(hours, minutes, 0, 0);
+  return start;
+};
+
+// A slot can still be booked until `cutoffMinutes` before it starts
+export const isBookable = (slot, date, cutoffMinutes, now = new Date()) =>
+  slotStartsAt(slot, date).getTime() - cutoffMinutes * 60 * 1000 > now.getTime();
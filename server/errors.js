@@ -0,0 +1,86 @@
+// One error shape for every failed request:
+//   { code: "VALIDATION_ERROR", message: "price must be a number", fields: { price: "price must be a number" } }
+// `error` repeats the message for clients written against the older { error } responses.
+
+export const ERROR_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  422: "UNPROCESSABLE_ENTITY",
+  500: "INTERNAL_ERROR",
+  503: "SERVICE_UNAVAILABLE"
+};
+
+const codeForStatus = (status) => ERROR_CODES[status] || (status >= 500 ? "INTERNAL_ERROR" : "BAD_REQUEST");
+
+export const errorBody = (status, message, { code, fields, ...extra } = {}) => ({
+  code: code || codeForStatus(status),
+  message,
+  ...(fields ? { fields } : {}),
+  ...extra,
+  error: message
+});
+
+export class HttpError extends Error {
+  constructor(status, message, { code, fields } = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code || codeForStatus(status);
+    this.fields = fields;
+  }
+}
+
+// fields: { name: "name is required", ... }
+export class ValidationError extends HttpError {
+  constructor(fields) {
+    super(400, Object.values(fields).join("; "), { code: "VALIDATION_ERROR", fields });
+    this.name = "ValidationError";
+  }
+}
+
+// Routes answer with res.status(x).json({ error: "..." }); this gives those bodies the common
+// shape on the way out, keeping any extra keys (e.g. the items that are out of stock)
+export const errorResponses = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body.error === "string" && !body.code) {
+      const { error, ...extra } = body;
+      return json(errorBody(res.statusCode, error, extra));
+    }
+    return json(body);
+  };
+  next();
+};
+
+export const notFound = (req, res) => {
+  res.status(404).json({ error: `Cannot ${req.method} ${req.path}` });
+};
+
+// Last in the chain: anything thrown or passed to next(err) ends up here.
+// Internals are logged; clients only ever see a generic message for unexpected errors.
+export const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  if (err instanceof HttpError) {
+    return res.status(err.status).json(errorBody(err.status, err.message, { code: err.code, fields: err.fields }));
+  }
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json(errorBody(400, "Request body is not valid JSON", { code: "INVALID_JSON" }));
+  }
+  if (err.type === "entity.too.large") {
+    return res.status(413).json(errorBody(413, "Request body is too large"));
+  }
+  if (err.name === "MulterError") {
+    return res.status(400).json(errorBody(400, err.message, {
+      code: "UPLOAD_ERROR",
+      fields: err.field ? { [err.field]: err.message } : undefined
+    }));
+  }
+
+  console.error(`${req.method} ${req.originalUrl} error:`, err);
+  res.status(500).json(errorBody(500, "Something went wrong"));
+};
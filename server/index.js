@@ -5,19 +5,76 @@ import dotenv from "dotenv";
 import multer from "multer";
 import { createServer } from "http";
 import { Server } from "socket.io";
-import { CloudinaryStorage } from "multer-storage-cloudinary";
-import { v2 as cloudinary } from "cloudinary";
 import session from "express-session";
+import crypto from "crypto";
+import { ROLES, requireAuth, requirePermission, hasPermission } from "./auth.js";
+import { errorResponses, errorHandler, notFound, ValidationError } from "./errors.js";
+import { field, validate, paginationQuery } from "./validation.js";
+import {
+  hashPassword,
+  verifyPassword,
+  verifyLegacyPassword,
+  isHashed,
+  generateResetToken,
+  hashResetToken
+} from "./passwords.js";
+import { createMailer } from "./mailer.js";
+import { createSmsSender } from "./sms.js";
+import { renderMessage } from "./messageTemplates.js";
+import { createOutbox } from "./outbox.js";
+import { createReports, reportFilters, REPORT_INTERVALS } from "./reports.js";
+import { AUDIT_ENTITIES, createAuditLog } from "./audit.js";
+import { toCSV, parseCSVObjects } from "./csv.js";
+import {
+  MAX_CALENDAR_DAYS,
+  formatDate,
+  datesBetween,
+  parseDaysOfWeek,
+  slotRunsOn,
+  isBookable
+} from "./delivery.js";
+import {
+  DEFAULT_STORAGE_DRIVER,
+  LOCAL_UPLOADS_DIR,
+  EXTERNAL_STORAGE,
+  getStorageDriver,
+  removeStoredImage
+} from "./storage/index.js";
+import {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  RESTOCK_STATUSES,
+  normalizeOrderStatus,
+  canTransition
+} from "./orderStatus.js";
+import {
+  PAYMENT_MODES,
+  ONLINE_PAYMENT_MODES,
+  PAYMENT_CURRENCY,
+  ORDER_PAYMENT_STATUS,
+  normalizePaymentMode,
+  canTransitionPayment,
+  getPaymentProvider,
+  checkPaymentConfig,
+  ONLINE_PAYMENTS_ENABLED,
+  PAYMENT_SIMULATOR_ENABLED,
+  CASH_PROVIDER
+} from "./payments/index.js";
+import {
+  DISCOUNT_TYPES, COUPON_CODE_PATTERN, couponFromBody, couponRuleError, normalizeCouponCode, evaluateCoupon
+} from "./coupons.js";
+import {
+  syncVariantStock,
+  consumeBatches,
+  normalizeOrderItems,
+  resolveOrderLines,
+  pricedLine,
+  reserveStock,
+  restockOrderItems
+} from "./stock.js";
 
 dotenv.config();
 
-// Cloudinary configuration
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
-
 // Express setup
 const app = express();
 const PORT = process.env.PORT || 5500;
@@ -31,13 +88,24 @@ app.use(cors({
     // process.env.FRONTEND_URL
   ],
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+  exposedHeaders: ["Idempotent-Replayed"],
   credentials: true
 }));
 
-app.use(express.json());
+app.use(errorResponses);
+
+// Webhook signatures are computed over the exact bytes received
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true }));
 
-app.use(session({
+// Images saved by the local storage driver. Served whatever the default driver is, since
+// images moved to local storage by migrate-images keep their /uploads URLs.
+app.use("/uploads", express.static(LOCAL_UPLOADS_DIR));
+
+const sessionStore = new session.MemoryStore();
+
+const sessionMiddleware = session({
+  store: sessionStore,
   secret: process.env.SESSION_SECRET || "superSecretKey123",
   resave: false,
   saveUninitialized: false,
@@ -47,7 +115,19 @@ app.use(session({
       httpOnly: true
     }
 
-}));
+});
+app.use(sessionMiddleware);
+
+// Signs the user out of every browser, e.g. once their account is archived
+const destroyUserSessions = async (userId) => {
+  const sessions = await new Promise((resolve, reject) =>
+    sessionStore.all((err, all) => (err ? reject(err) : resolve(all || {})))
+  );
+  const sids = Object.keys(sessions).filter(sid => String(sessions[sid].user?.id) === String(userId));
+  await Promise.all(sids.map(sid => new Promise((resolve, reject) =>
+    sessionStore.destroy(sid, (err) => (err ? reject(err) : resolve()))
+  )));
+};
 
 const db = mysql.createPool({
   host: process.env.DB_HOST,
@@ -74,6 +154,12 @@ const testConnection = async () => {
 
 testConnection();
 
+// Archiving destroys the user's sessions; sockets also check on connect
+const isArchivedUser = async (userId) => {
+  const [rows] = await db.query("SELECT archived_at FROM users WHERE id=?", [userId]);
+  return !rows.length || Boolean(rows[0].archived_at);
+};
+
 
 process.on("unhandledRejection", (err) => {
   console.error("Unhandled promise rejection:", err);
@@ -89,67 +175,253 @@ const io = new Server(httpServer, {
       "http://localhost:5173",
       "https://camarcl-flowershop-frontend.vercel.app",
       process.env.FRONTEND_URL
-    ]
+    ].filter(Boolean),
+    credentials: true
+  }
+});
+
+// Sockets share the HTTP session, so only signed-in users can connect
+io.engine.use(sessionMiddleware);
+
+// Staff sockets join STAFF_ROOM for operational alerts; every user also joins their own room
+const STAFF_ROOM = "staff";
+const userRoom = (userId) => `user:${userId}`;
+
+// Most notifications a reconnecting socket is sent in one catch_up
+const CATCH_UP_LIMIT = 100;
+
+io.use(async (socket, next) => {
+  const user = socket.request.session?.user;
+  if (!user) return next(new Error("Unauthorized"));
+  try {
+    if (await isArchivedUser(user.id)) return next(new Error("Unauthorized"));
+  } catch (err) {
+    return next(err);
+  }
+  socket.data.user = user;
+  next();
+});
+
+io.on("connection", async socket => {
+  const { user } = socket.data;
+  const isStaff = hasPermission(user, "notifications:read");
+  socket.join(userRoom(user.id));
+  if (isStaff) socket.join(STAFF_ROOM);
+
+  // Reconnecting clients pass the last notification id they saw: io(url, { auth: { since: 41 } })
+  const since = Number(socket.handshake.auth?.since);
+  if (Number.isInteger(since) && since >= 0) {
+    try {
+      const [rows] = await db.query(
+        `SELECT id, type, reference_id, message, data, isRead, created_at FROM notifications
+         WHERE id > ? AND (user_id = ? OR (? AND user_id IS NULL))
+         ORDER BY id LIMIT ?`,
+        [since, user.id, isStaff, CATCH_UP_LIMIT + 1]
+      );
+      socket.emit("catch_up", { notifications: rows.slice(0, CATCH_UP_LIMIT), has_more: rows.length > CATCH_UP_LIMIT });
+    } catch (err) {
+      console.error("Socket catch-up error:", err);
+    }
   }
 });
 
-io.on("connection", socket => {
-  console.log("New client connected:", socket.id);
-  socket.on("disconnect", () => console.log("Client disconnected:", socket.id));
+// Image uploads are buffered in memory, then handed to the configured storage driver
+const IMAGE_FORMATS = ["jpg","jpeg","png","webp","gif","svg","heic","avif","bmp"];
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const ext = file.originalname.split(".").pop().toLowerCase();
+    cb(null, IMAGE_FORMATS.includes(ext));
+  }
 });
 
-// Multer + Cloudinary Storage
-const storage = new CloudinaryStorage({
-  cloudinary,
-  params: {
+const imageStorage = getStorageDriver(DEFAULT_STORAGE_DRIVER);
+
+// Saves an uploaded product image; returns the columns to store on the product
+const saveProductImage = async (file) => {
+  const { url, asset_id } = await imageStorage.save(file.buffer, {
     folder: "products",
-    allowed_formats: ["jpg","jpeg","png","webp","gif","svg","heic","avif","bmp"],
+    filename: file.originalname,
     transformation: [{ width: 500, height: 500, crop: "limit" }]
+  });
+  return { image_url: url, image_storage: imageStorage.name, image_asset_id: asset_id };
+};
+
+// An image linked by URL rather than uploaded
+const externalImage = (image_url) => ({ image_url, image_storage: EXTERNAL_STORAGE, image_asset_id: null });
+
+// Best-effort cleanup; a leftover file shouldn't fail the request
+const discardImage = async (image) => {
+  try {
+    await removeStoredImage(image);
+  } catch (err) {
+    console.error("Image cleanup error:", err);
+  }
+};
+
+// `conn` may be the pool or a transaction connection
+const insertProductImage = async (conn, productId, image, { primary = false } = {}) => {
+  const [[{ next }]] = await conn.query(
+    "SELECT IFNULL(MAX(position) + 1, 0) AS next FROM product_images WHERE product_id=?",
+    [productId]
+  );
+  if (primary) await conn.query("UPDATE product_images SET is_primary=0 WHERE product_id=?", [productId]);
+
+  const [result] = await conn.query(
+    `INSERT INTO product_images (product_id, image_url, image_storage, image_asset_id, position, is_primary, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+    [productId, image.image_url, image.image_storage, image.image_asset_id, next, primary ? 1 : 0]
+  );
+  return result.insertId;
+};
+
+// Copies the primary gallery image onto products.image_url, promoting the first image when none is primary
+const syncPrimaryImage = async (conn, productId) => {
+  const [images] = await conn.query(
+    `SELECT id, image_url, image_storage, image_asset_id, is_primary FROM product_images
+     WHERE product_id=? ORDER BY is_primary DESC, position, id LIMIT 1`,
+    [productId]
+  );
+  const primary = images[0] || null;
+  if (primary && !primary.is_primary) {
+    await conn.query("UPDATE product_images SET is_primary=1 WHERE id=?", [primary.id]);
   }
+  await conn.query(
+    "UPDATE products SET image_url=?, image_storage=?, image_asset_id=? WHERE id=?",
+    [primary?.image_url ?? null, primary?.image_storage ?? null, primary?.image_asset_id ?? null, productId]
+  );
+};
+
+const listProductImages = async (productId) => {
+  const [images] = await db.query(
+    "SELECT id, image_url, position, is_primary, created_at FROM product_images WHERE product_id=? ORDER BY position, id",
+    [productId]
+  );
+  return images.map(img => ({ ...img, is_primary: Boolean(img.is_primary) }));
+};
+
+// CSV imports are parsed in memory
+const csvUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024 } });
+
+const reports = createReports(db);
+const audit = createAuditLog(db);
+
+// Outgoing mail (console/file in development, SMTP in production)
+const mailer = createMailer();
+
+// Customer message channels, delivered through the outbox
+const smsSender = createSmsSender();
+const outbox = createOutbox(db, {
+  email: { send: ({ to, subject, text }) => mailer.send({ to, subject, text }) },
+  sms: { send: ({ to, text }) => smsSender.send({ to, text }) }
 });
-const upload = multer({ storage });
+
+const PASSWORD_RESET_TTL_MINUTES = process.env.PASSWORD_RESET_TTL_MINUTES
+  ? parseInt(process.env.PASSWORD_RESET_TTL_MINUTES)
+  : 60;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Delivery slots close this many minutes before they start
+const DELIVERY_CUTOFF_MINUTES = process.env.DELIVERY_CUTOFF_MINUTES
+  ? parseInt(process.env.DELIVERY_CUTOFF_MINUTES)
+  : 120;
+
+// How long a POST /orders response is replayed for the same Idempotency-Key
+const IDEMPOTENCY_TTL_HOURS = process.env.IDEMPOTENCY_TTL_HOURS
+  ? parseInt(process.env.IDEMPOTENCY_TTL_HOURS)
+  : 24;
 
 // Helpers
 
-const requireAdmin = (req, res, next) => {
-  if (!req.session.user || req.session.user.role !== "admin") {
-    return res.status(401).json({ error: "Unauthorized. Admin login required." });
-  }
-  next();
+// Default stock level below which products are flagged "LOW ON SUPPLIES".
+// Products and categories can override it with their own reorder threshold.
+const LOW_STOCK_THRESHOLD = process.env.LOW_STOCK_THRESHOLD ? Number(process.env.LOW_STOCK_THRESHOLD) : 20;
+// Interpolated into SQL by thresholdSql, so refuse to start on anything but a plain number
+if (!Number.isInteger(LOW_STOCK_THRESHOLD) || LOW_STOCK_THRESHOLD < 0) {
+  throw new Error("LOW_STOCK_THRESHOLD must be a non-negative integer");
+}
+
+// Effective reorder threshold of a products row: its own, else its category's, else the default
+const thresholdSql = (alias = "products") =>
+  `COALESCE(${alias}.reorder_threshold, (SELECT ct.reorder_threshold FROM category_thresholds ct WHERE ct.category = ${alias}.category), ${LOW_STOCK_THRESHOLD})`;
+
+const supplyAlert = (stock, threshold) => (Number(stock) < Number(threshold) ? "LOW ON SUPPLIES" : "OK");
+
+// page/limit query params -> { page, limit, offset }
+const parsePagination = (query, { defaultLimit = 20, maxLimit = 100 } = {}) => {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(maxLimit, Math.max(1, parseInt(query.limit) || defaultLimit));
+  return { page, limit, offset: (page - 1) * limit };
 };
 
-const sendNotification = async (type, reference_id, message) => {
+const paginationMeta = ({ page, limit }, total) => ({
+  page,
+  limit,
+  total,
+  total_pages: Math.ceil(total / limit)
+});
+
+// Turns free text into a BOOLEAN MODE query where every word must match as a prefix
+const toFullTextQuery = (search) =>
+  String(search)
+    .replace(/[+\-<>()~*"@]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => `+${word}*`)
+    .join(" ");
+
+// These types also go out under their own socket event name, besides new_notification
+const NOTIFICATION_EVENTS = ["order_created", "order_status_changed"];
+
+// Saves a notification and pushes it to the staff room, or to one user's room when userId is given
+const sendNotification = async (type, reference_id, message, { userId = null, data = null } = {}) => {
   try {
     const [result] = await db.query(
-      "INSERT INTO notifications (type, reference_id, message, isRead, created_at) VALUES (?, ?, ?, 0, NOW())",
-      [type, reference_id, message]
+      "INSERT INTO notifications (type, reference_id, message, user_id, data, isRead, created_at) VALUES (?, ?, ?, ?, ?, 0, NOW())",
+      [type, reference_id, message, userId, data ? JSON.stringify(data) : null]
     );
-    io.emit("new_notification", {
+    const notification = {
       id: result.insertId,
       type,
       reference_id,
       message,
+      data,
       isRead: 0,
       created_at: new Date()
-    });
+    };
+
+    const room = io.to(userId ? userRoom(userId) : STAFF_ROOM);
+    room.emit("new_notification", notification);
+    if (NOTIFICATION_EVENTS.includes(type)) room.emit(type, notification);
   } catch (err) {
     console.error("Notification error:", err);
   }
 };
 
-const lowStockNotification = async (product) => {
-  if (!product || product.stock == null) return;
+// Live stock levels for staff dashboards. Not stored: clients reload stock after reconnecting.
+const emitStockChanged = (change) => io.to(STAFF_ROOM).emit("stock_changed", change);
 
-  const stock = Number(product.stock);
-  if (isNaN(stock)) return;
+// Called after every stock change: broadcasts the new level and alerts when it falls below the
+// reorder threshold. Pass the stock from before the change so products that were already low
+// don't raise a new alert on every order.
+const lowStockNotification = async (product, previousStock = null) => {
+  if (!product || product.id == null) return;
 
   // Normalize: get fresh product from DB
-  const [rows] = await db.query("SELECT id, name, stock FROM products WHERE id=?", [product.id]);
+  const [rows] = await db.query(
+    `SELECT id, name, stock, ${thresholdSql()} AS low_stock_threshold FROM products WHERE id=?`,
+    [product.id]
+  );
   if (!rows.length) return;
 
   const freshProduct = rows[0];
+  emitStockChanged({ product_id: freshProduct.id, variant_id: null, stock: freshProduct.stock });
 
-  if (Number(freshProduct.stock) < 20) {
+  const threshold = Number(freshProduct.low_stock_threshold);
+  const wasLow = previousStock != null && Number(previousStock) < threshold;
+
+  if (Number(freshProduct.stock) < threshold && !wasLow) {
     await sendNotification(
       "low on supplies",
       freshProduct.id,
@@ -158,15 +430,270 @@ const lowStockNotification = async (product) => {
   }
 };
 
+// Variants use their product's reorder threshold
+const variantLowStockNotification = async (variant, previousStock = null) => {
+  if (!variant || variant.id == null) return;
+
+  const [rows] = await db.query(
+    `SELECT v.id, v.name, v.stock, v.product_id, p.name AS product_name, p.stock AS product_stock,
+       ${thresholdSql("p")} AS low_stock_threshold
+     FROM product_variants v JOIN products p ON p.id = v.product_id
+     WHERE v.id=?`,
+    [variant.id]
+  );
+  if (!rows.length) return;
+
+  const fresh = rows[0];
+  emitStockChanged({ product_id: fresh.product_id, variant_id: fresh.id, stock: fresh.stock, product_stock: fresh.product_stock });
+
+  const threshold = Number(fresh.low_stock_threshold);
+  const wasLow = previousStock != null && Number(previousStock) < threshold;
+
+  if (Number(fresh.stock) < threshold && !wasLow) {
+    await sendNotification(
+      "low on supplies",
+      fresh.product_id,
+      `Product '${fresh.product_name} (${fresh.name})' is low on supplies!`
+    );
+  }
+};
+
+// Variants for the given products, grouped by product id
+const loadVariants = async (productIds) => {
+  const byProduct = new Map(productIds.map(id => [id, []]));
+  if (!productIds.length) return byProduct;
+
+  const [variants] = await db.query(
+    `SELECT v.id, v.product_id, v.sku, v.name, v.attributes, v.price, v.stock, v.position,
+            ${thresholdSql("p")} AS low_stock_threshold
+     FROM product_variants v JOIN products p ON p.id = v.product_id
+     WHERE v.product_id IN (?) ORDER BY v.position, v.id`,
+    [productIds]
+  );
+  for (const { low_stock_threshold, ...variant } of variants) {
+    byProduct.get(variant.product_id)?.push({
+      ...variant,
+      supply_alert: supplyAlert(variant.stock, low_stock_threshold)
+    });
+  }
+  return byProduct;
+};
+
+// { size: ["small", "large"], wrap_color: ["red"] } from a product's variants
+const variantOptions = (variants) => {
+  const options = {};
+  for (const variant of variants) {
+    for (const [key, value] of Object.entries(variant.attributes || {})) {
+      options[key] ??= [];
+      if (!options[key].includes(value)) options[key].push(value);
+    }
+  }
+  return options;
+};
+
+
+// Checks credentials, upgrading legacy plain-text passwords on success.
+// Returns the user row or null.
+const authenticate = async (email, password) => {
+  const [rows] = await db.query(
+    "SELECT id, name, email, password, role FROM users WHERE email=? AND archived_at IS NULL",
+    [email]
+  );
+  if (!rows.length) return null;
+
+  const user = rows[0];
+
+  if (isHashed(user.password)) {
+    return (await verifyPassword(password, user.password)) ? user : null;
+  }
+
+  if (verifyLegacyPassword(password, user.password)) {
+    // Legacy plain-text row: upgrade to a hash now that we know the password
+    await db.query("UPDATE users SET password=? WHERE id=?", [await hashPassword(password), user.id]);
+    return user;
+  }
+
+  return null;
+};
+
+// Loads line items for the given orders and nests them under `items`
+const attachOrderItems = async (orders) => {
+  if (!orders.length) return orders;
+
+  const [items] = await db.query(`
+    SELECT 
+      oi.id,
+      oi.order_id,
+      oi.product_id,
+      oi.variant_id,
+      oi.product_name,
+      oi.variant_name,
+      oi.quantity,
+      oi.price,
+      oi.total,
+      p.image_url,
+      IFNULL(p.category, p.name) AS category
+    FROM order_items oi
+    LEFT JOIN products p ON oi.product_id = p.id
+    WHERE oi.order_id IN (?)
+    ORDER BY oi.id
+  `, [orders.map(o => o.id)]);
+
+  const byOrder = new Map(orders.map(o => [o.id, { ...o, items: [] }]));
+  for (const { order_id, ...item } of items) {
+    byOrder.get(order_id)?.items.push(item);
+  }
+  return [...byOrder.values()];
+};
+
+const ORDER_COLUMNS = `o.id, o.user_id, o.user_name, o.total, o.payment_mode, o.status, o.created_at,
+  o.subtotal, o.discount, o.coupon_code, o.payment_status, o.recipient_name, o.recipient_phone, o.delivery_address, o.card_message,
+  DATE_FORMAT(o.delivery_date, '%Y-%m-%d') AS delivery_date, o.delivery_slot_id`;
+
+// Builds the WHERE clause for order list filters
+const buildOrderFilters = (query) => {
+  const conditions = [];
+  const params = [];
+
+  if (query.status) {
+    conditions.push("o.status IN (?)");
+    params.push(String(query.status).split(",").map(s => s.trim()).filter(Boolean));
+  }
+  if (query.payment_mode) {
+    conditions.push("o.payment_mode IN (?)");
+    params.push(String(query.payment_mode).split(",").map(s => s.trim()).filter(Boolean));
+  }
+  if (query.from) {
+    conditions.push("o.created_at >= ?");
+    params.push(query.from);
+  }
+  if (query.to) {
+    // Inclusive of the whole "to" day
+    conditions.push("o.created_at < DATE_ADD(?, INTERVAL 1 DAY)");
+    params.push(query.to);
+  }
+  if (query.user_id) {
+    conditions.push("o.user_id = ?");
+    params.push(query.user_id);
+  }
+  if (query.customer) {
+    conditions.push("o.user_name LIKE ?");
+    params.push(`%${query.customer}%`);
+  }
+  if (query.payment_status) {
+    conditions.push("o.payment_status IN (?)");
+    params.push(String(query.payment_status).split(",").map(s => s.trim()).filter(Boolean));
+  }
+  if (query.delivery_date) {
+    conditions.push("o.delivery_date = ?");
+    params.push(query.delivery_date);
+  }
+
+  return {
+    where: conditions.length ? `WHERE ${conditions.join(" AND ")}` : "",
+    params
+  };
+};
+
+// status, payment_mode and payment_status take comma-separated lists
+const orderFilterQuery = {
+  status: field.string({ max: 255 }),
+  payment_mode: field.string({ max: 255 }),
+  payment_status: field.string({ max: 255 }),
+  from: field.date(),
+  to: field.date(),
+  delivery_date: field.date(),
+  user_id: field.id(),
+  customer: field.string({ max: 255 })
+};
+
+// Runs a filtered, paginated order query and returns { data, pagination }
+const listOrders = async ({ where, params }, pagination) => {
+  const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total FROM orders o ${where}`, params);
+  const [orders] = await db.query(
+    `SELECT ${ORDER_COLUMNS} FROM orders o ${where} ORDER BY o.created_at DESC, o.id DESC LIMIT ? OFFSET ?`,
+    [...params, pagination.limit, pagination.offset]
+  );
+  return { data: await attachOrderItems(orders), pagination: paginationMeta(pagination, total) };
+};
+
+// Queues the email and SMS for an order event to the ordering customer, skipping channels
+// they opted out of or have no address for. Guest orders have no customer to message.
+const messageCustomer = async (orderId, template) => {
+  try {
+    const [rows] = await db.query(
+      `SELECT o.id AS order_id, o.user_id, o.total, o.status, o.recipient_name,
+         DATE_FORMAT(o.delivery_date, '%Y-%m-%d') AS delivery_date,
+         u.name AS customer_name, u.email, u.contact_number, u.email_opt_out, u.sms_opt_out
+       FROM orders o JOIN users u ON u.id = o.user_id
+       WHERE o.id=? AND u.archived_at IS NULL`,
+      [orderId]
+    );
+    if (!rows.length) return;
+
+    const context = { ...rows[0], currency: PAYMENT_CURRENCY };
+    const addresses = {
+      email: !context.email_opt_out && context.email,
+      sms: !context.sms_opt_out && context.contact_number
+    };
+
+    let queued = false;
+    for (const [channel, recipient] of Object.entries(addresses)) {
+      if (!recipient) continue;
+      const { subject, text } = renderMessage(template, channel, context);
+      await outbox.enqueue({
+        channel,
+        recipient,
+        subject,
+        body: text,
+        template,
+        order_id: context.order_id,
+        user_id: context.user_id
+      });
+      queued = true;
+    }
+    // A message queued while a run is going out waits for the next interval
+    if (queued) sendOutbox();
+  } catch (err) {
+    console.error("Queue customer message error:", err);
+  }
+};
+
+const orderCreatedNotification = async (order) => {
+  const data = { order_id: order.id, total: order.total, status: "pending" };
+  await sendNotification("order_created", order.id, `New order #${order.id} from ${order.user_name}`, { data });
+  if (order.user_id) {
+    await sendNotification("order_created", order.id, `Your order #${order.id} has been placed`, {
+      userId: order.user_id,
+      data
+    });
+    await messageCustomer(order.id, "order_placed");
+  }
+};
 
-const orderStatusNotification = async (order) => {
+// Customers hear about every step of their own order; staff get alerts for the endings
+const orderStatusNotification = async (order, previousStatus) => {
   if (!order.status) return;
 
+  const data = { order_id: order.id, from_status: previousStatus, to_status: order.status };
+  // Staff dashboards get the bare change live; it isn't stored for them
+  io.to(STAFF_ROOM).emit("order_status_changed", data);
+  if (order.user_id) {
+    await sendNotification(
+      "order_status_changed",
+      order.id,
+      `Your order #${order.id} is now ${order.status.replace(/_/g, " ")}`,
+      { userId: order.user_id, data }
+    );
+    await messageCustomer(order.id, order.status === "delivered" ? "order_delivered" : "order_status_changed");
+  }
+
   const status = order.status.toLowerCase();
   let message = "";
 
-  if (status.includes("delivered")) message = `Order #${order.id} for ${order.user_name} has been delivered!`;
-  else if (status.includes("cancelled") || status.includes("returned")) message = `Order #${order.id} for ${order.user_name} has been cancelled/returned!`;
+  if (status === "delivered") message = `Order #${order.id} for ${order.user_name} has been delivered!`;
+  else if (status === "cancelled") message = `Order #${order.id} for ${order.user_name} has been cancelled!`;
+  else if (status === "returned") message = `Order #${order.id} for ${order.user_name} has been returned!`;
 
   if (message) await sendNotification("status", order.id, message);
 };
@@ -174,34 +701,75 @@ const orderStatusNotification = async (order) => {
 
 // ROUTES
 
+// Numeric route ids: "abc" or "1.5" is rejected before any handler runs
+for (const name of ["id", "imageId", "variantId", "itemId"]) {
+  app.param(name, (req, res, next, value) => {
+    if (!/^[1-9]\d*$/.test(value)) return next(new ValidationError({ [name]: `${name} must be a positive integer` }));
+    next();
+  });
+}
+
 // PRODUCTS ----------------
 
+// PUT replaces the whole product, so both create and update take the full set of fields
+const productBody = {
+  name: field.string({ required: true, min: 1, max: 255 }),
+  price: field.number({ required: true, min: 0 }),
+  stock: field.integer({ required: true, min: 0 }),
+  category: field.string({ max: 255 }),
+  description: field.string({ max: 5000 })
+};
+
 
-app.post("/products", upload.single("image"), async (req, res) => {
+app.post("/products", requirePermission("products:write"), upload.single("image"), validate({ body: productBody }), async (req, res) => {
   try {
-    let { name, price, stock, category, description } = req.body;
+    const { name, price, stock, category, description } = req.body;
 
     if (!req.file) return res.status(400).json({ error: "Product image is required" });
 
-    stock = Number(stock);
-    price = Number(price);
-    const image_url = req.file.secure_url;
+    const { value: reorder_threshold, error: thresholdError } = parseReorderThreshold(req.body.reorder_threshold);
+    if (thresholdError) return res.status(400).json({ error: thresholdError });
 
-    const [result] = await db.query(
-      `INSERT INTO products (name, price, stock, category, description, image_url, created_at)
-       VALUES (?, ?, ?, ?, ?, ?, NOW())`,
-      [name, price, stock, category, description, image_url]
-    );
+    const image = await saveProductImage(req.file);
+    const { image_url } = image;
+
+    let result;
+    const conn = await db.getConnection();
+    try {
+      await conn.beginTransaction();
+      [result] = await conn.query(
+        `INSERT INTO products (name, price, stock, reorder_threshold, category, description, image_url, image_storage, image_asset_id, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [name, price, stock, reorder_threshold ?? null, category ?? null, description ?? null, image_url, image.image_storage, image.image_asset_id]
+      );
+      await insertProductImage(conn, result.insertId, image, { primary: true });
+      await audit.record(req, {
+        action: "create",
+        entity: "product",
+        entityId: result.insertId,
+        after: await audit.snapshot("product", result.insertId, conn)
+      }, conn);
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback();
+      await discardImage(image);
+      throw err;
+    } finally {
+      conn.release();
+    }
 
     // Send notification like orderStatus
-    await lowStockNotification({ id: result.insertId, name, stock });
+    await lowStockNotification({ id: result.insertId });
 
-    const supplyAlert = stock < 20 ? "LOW ON SUPPLIES" : "OK";
+    const [[{ low_stock_threshold }]] = await db.query(
+      `SELECT ${thresholdSql()} AS low_stock_threshold FROM products WHERE id=?`,
+      [result.insertId]
+    );
 
     res.json({
       message: "Product added successfully",
-      supply_alert: supplyAlert,
-      product: { id: result.insertId, name, price, stock, category, description, image_url }
+      supply_alert: supplyAlert(stock, low_stock_threshold),
+      product: { id: result.insertId, name, price, stock, reorder_threshold: reorder_threshold ?? null, low_stock_threshold, category, description, image_url }
     });
   } catch (err) {
     console.error("Add product error:", err);
@@ -211,38 +779,286 @@ app.post("/products", upload.single("image"), async (req, res) => {
 
 
 
-app.get("/products", async (req, res) => {
+// Optional reorder_threshold from a request body: undefined when absent, null to clear
+const parseReorderThreshold = (raw) => {
+  if (raw === undefined) return { value: undefined };
+  if (raw === null || raw === "") return { value: null };
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 0) return { error: "reorder_threshold must be a non-negative integer" };
+  return { value };
+};
+
+const PRODUCT_SORT_FIELDS = ["name", "price", "stock", "category", "created_at"];
+
+// Builds the WHERE clause for product list filters. Archived products are left out unless
+// includeArchived is set.
+const buildProductFilters = (query, { includeArchived = false } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (!includeArchived) conditions.push("archived_at IS NULL");
+  if (query.category) {
+    const categories = String(query.category).split(",").map(c => c.trim()).filter(Boolean);
+    conditions.push("category IN (?)");
+    params.push(categories);
+  }
+  if (query.min_price !== undefined) {
+    conditions.push("price >= ?");
+    params.push(query.min_price);
+  }
+  if (query.max_price !== undefined) {
+    conditions.push("price <= ?");
+    params.push(query.max_price);
+  }
+  if (query.in_stock === true) conditions.push("stock > 0");
+  if (query.in_stock === false) conditions.push("stock <= 0");
+  if (query.low_stock === true) conditions.push(`stock < ${thresholdSql()}`);
+  if (query.low_stock === false) conditions.push(`stock >= ${thresholdSql()}`);
+  if (query.search) {
+    const fullText = toFullTextQuery(query.search);
+    if (fullText) {
+      conditions.push("MATCH(name, description) AGAINST (? IN BOOLEAN MODE)");
+      params.push(fullText);
+    }
+  }
+
+  return {
+    where: conditions.length ? `WHERE ${conditions.join(" AND ")}` : "",
+    params
+  };
+};
+
+// category takes a comma-separated list
+const productFilterQuery = {
+  category: field.string({ max: 255 }),
+  min_price: field.number({ min: 0 }),
+  max_price: field.number({ min: 0 }),
+  sort: field.enum({ values: PRODUCT_SORT_FIELDS }),
+  order: field.enum({ values: ["asc", "desc", "ASC", "DESC"] }),
+  search: field.string({ max: 255 }),
+  in_stock: field.boolean(),
+  low_stock: field.boolean(),
+  include_archived: field.boolean()
+};
+
+// Archived products are only listed for staff who ask for them
+const includeArchivedProducts = (req) =>
+  req.validQuery.include_archived === true && hasPermission(req.session.user, "products:write");
+
+// GET /products?category=&min_price=&max_price=&in_stock=&low_stock=&search=&sort=&order=&include_archived=&page=&limit=
+app.get("/products", validate({ query: { ...paginationQuery, ...productFilterQuery } }), async (req, res) => {
   try {
-    const [rows] = await db.query("SELECT * FROM products ORDER BY created_at DESC");
 
-   
+    const sort = req.validQuery.sort || "created_at";
+    const order = req.validQuery.order?.toLowerCase() === "asc" ? "ASC" : "DESC";
+    const pagination = parsePagination(req.query);
+    const { where, params } = buildProductFilters(req.validQuery, { includeArchived: includeArchivedProducts(req) });
+
+    const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total FROM products ${where}`, params);
+    const [rows] = await db.query(
+      `SELECT *, ${thresholdSql()} AS low_stock_threshold FROM products ${where}
+       ORDER BY ${sort} ${order}, id ${order} LIMIT ? OFFSET ?`,
+      [...params, pagination.limit, pagination.offset]
+    );
+
+    const variants = await loadVariants(rows.map(p => p.id));
     const products = rows.map(p => ({
       ...p,
-      supply_alert: p.stock < 20 ? "LOW ON SUPPLIES" : "OK"
+      supply_alert: supplyAlert(p.stock, p.low_stock_threshold),
+      variants: variants.get(p.id),
+      variant_options: variantOptions(variants.get(p.id))
     }));
 
-    res.json(products);
+    res.json({ data: products, pagination: paginationMeta(pagination, total) });
   } catch (err) {
     console.error("Fetch products error:", err);
     res.status(500).json({ error: "Failed to load products" });
   }
 });
 
+const sendCSV = (res, filename, rows, columns) => {
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  res.send(toCSV(rows, columns));
+};
+
+const PRODUCT_CSV_COLUMNS = ["id", "sku", "name", "price", "stock", "category", "description", "image_url", "created_at"];
+
+// Same filters and sorting as GET /products, without pagination
+app.get("/products/export.csv", requirePermission("products:write"),
+  validate({ query: productFilterQuery }), async (req, res) => {
+  try {
+    const sort = req.validQuery.sort || "created_at";
+    const order = req.validQuery.order?.toLowerCase() === "asc" ? "ASC" : "DESC";
+    const { where, params } = buildProductFilters(req.validQuery, { includeArchived: includeArchivedProducts(req) });
+
+    const [rows] = await db.query(`SELECT * FROM products ${where} ORDER BY ${sort} ${order}, id ${order}`, params);
+    sendCSV(res, "products.csv", rows, PRODUCT_CSV_COLUMNS);
+  } catch (err) {
+    console.error("Export products error:", err);
+    res.status(500).json({ error: "Failed to export products" });
+  }
+});
+
+// Validates one CSV row; returns { product } or { errors }
+const parseProductRow = (row) => {
+  const errors = [];
+  const product = {
+    sku: row.sku || null,
+    name: row.name,
+    price: Number(row.price),
+    stock: Number(row.stock),
+    category: row.category || null,
+    description: row.description || null,
+    image_url: row.image_url || null
+  };
+
+  if (!product.name) errors.push("name is required");
+  if (row.price === undefined || row.price === "" || isNaN(product.price) || product.price < 0) {
+    errors.push("price must be a non-negative number");
+  }
+  if (row.stock === undefined || row.stock === "" || !Number.isInteger(product.stock) || product.stock < 0) {
+    errors.push("stock must be a non-negative integer");
+  }
+  if (product.sku && product.sku.length > 64) errors.push("sku must be at most 64 characters");
+
+  return errors.length ? { errors } : { product };
+};
+
+// POST /products/import[?dry_run=true] with a CSV as multipart "file" or a text/csv body.
+// Rows are matched by sku when given, otherwise by name.
+app.post("/products/import", requirePermission("products:write"), csvUpload.single("file"),
+  express.text({ type: "text/csv", limit: "2mb" }), validate({ query: { dry_run: field.boolean() } }), async (req, res) => {
+    const dryRun = req.validQuery.dry_run === true;
+    const text = req.file ? req.file.buffer.toString("utf8") : typeof req.body === "string" ? req.body : "";
+    if (!text.trim()) return res.status(400).json({ error: "CSV file is required" });
+
+    let rows;
+    try {
+      rows = parseCSVObjects(text);
+    } catch (err) {
+      return res.status(400).json({ error: `Invalid CSV: ${err.message}` });
+    }
+    if (!rows.length) return res.status(400).json({ error: "CSV has no data rows" });
+
+    const report = [];
+    const touched = [];
+    const conn = await db.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      for (const [index, row] of rows.entries()) {
+        // Header is line 1
+        const line = index + 2;
+        const { product, errors } = parseProductRow(row);
+        if (errors) {
+          report.push({ row: line, action: "failed", name: row.name || null, errors });
+          continue;
+        }
+
+        const [matches] = product.sku
+          ? await conn.query("SELECT id, stock, image_url FROM products WHERE sku=? FOR UPDATE", [product.sku])
+          : await conn.query("SELECT id, stock, image_url FROM products WHERE name=? FOR UPDATE", [product.name]);
+
+        if (matches.length > 1) {
+          report.push({ row: line, action: "failed", name: product.name, errors: ["name matches more than one product; add a sku"] });
+          continue;
+        }
+
+        if (matches.length) {
+          const existing = matches[0];
+          const before = await audit.snapshot("product", existing.id, conn);
+          // An empty sku cell keeps the stored one
+          await conn.query(
+            `UPDATE products SET sku=COALESCE(?, sku), name=?, price=?, category=?, description=? WHERE id=?`,
+            [product.sku, product.name, product.price, product.category, product.description, existing.id]
+          );
+          // Products with variants keep the stock of their variants
+          await setStockLevel(conn, { productId: existing.id, stock: product.stock, note: "CSV import", userId: req.session.user.id });
+          await syncVariantStock(conn, existing.id);
+          // A new image_url joins the gallery as the primary image
+          if (product.image_url && product.image_url !== existing.image_url) {
+            await insertProductImage(conn, existing.id, externalImage(product.image_url), { primary: true });
+            await syncPrimaryImage(conn, existing.id);
+          }
+          await audit.record(req, {
+            action: "import",
+            entity: "product",
+            entityId: existing.id,
+            before,
+            after: await audit.snapshot("product", existing.id, conn)
+          }, conn);
+          report.push({ row: line, action: "updated", id: existing.id, name: product.name });
+          touched.push({ id: existing.id, previous_stock: existing.stock });
+        } else {
+          const [result] = await conn.query(
+            `INSERT INTO products (sku, name, price, stock, category, description, image_url, image_storage, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+            [
+              product.sku, product.name, product.price, product.stock, product.category, product.description,
+              product.image_url, product.image_url ? EXTERNAL_STORAGE : null
+            ]
+          );
+          if (product.image_url) {
+            await insertProductImage(conn, result.insertId, externalImage(product.image_url), { primary: true });
+          }
+          await audit.record(req, {
+            action: "import",
+            entity: "product",
+            entityId: result.insertId,
+            after: await audit.snapshot("product", result.insertId, conn)
+          }, conn);
+          report.push({ row: line, action: "created", id: result.insertId, name: product.name });
+          touched.push({ id: result.insertId, previous_stock: null });
+        }
+      }
+
+      if (dryRun) {
+        await conn.rollback();
+      } else {
+        await conn.commit();
+      }
+    } catch (err) {
+      await conn.rollback();
+      console.error("Import products error:", err);
+      return res.status(500).json({ error: "Failed to import products" });
+    } finally {
+      conn.release();
+    }
+
+    if (!dryRun) {
+      for (const product of touched) await lowStockNotification(product, product.previous_stock);
+    }
+
+    const count = (action) => report.filter(r => r.action === action).length;
+    res.json({
+      dry_run: dryRun,
+      summary: { created: count("created"), updated: count("updated"), failed: count("failed") },
+      rows: report
+    });
+  });
+
 app.get("/products/:id", async (req, res) => {
   try {
     const { id } = req.params;
 
-    const [rows] = await db.query("SELECT * FROM products WHERE id = ?", [id]);
+    const [rows] = await db.query(`SELECT *, ${thresholdSql()} AS low_stock_threshold FROM products WHERE id = ?`, [id]);
 
-    if (!rows.length) {
+    // Archived products stay visible to staff so they can be reviewed and restored
+    if (!rows.length || (rows[0].archived_at && !hasPermission(req.session.user, "products:write"))) {
       return res.status(404).json({ error: "Product not found" });
     }
 
     const product = rows[0];
 
+    const variants = (await loadVariants([product.id])).get(product.id);
+
     res.json({
       ...product,
-      supply_alert: product.stock < 20 ? "LOW ON SUPPLIES" : "OK"
+      supply_alert: supplyAlert(product.stock, product.low_stock_threshold),
+      images: await listProductImages(product.id),
+      variants,
+      variant_options: variantOptions(variants)
     });
 
   } catch (err) {
@@ -304,47 +1120,92 @@ app.get("/products/:id", async (req, res) => {
 //   }
 // });
 
-app.put("/products/:id", upload.single("image"), async (req, res) => {
+app.put("/products/:id", requirePermission("products:write"), upload.single("image"), validate({ body: productBody }), async (req, res) => {
   try {
     const { id } = req.params;
-    let { name, price, stock, category, description, existingImageUrl } = req.body;
+    const { name, price, stock, category = null, description = null, existingImageUrl } = req.body;
 
-    stock = Number(stock);
-    price = Number(price);
+    const { value: reorder_threshold, error: thresholdError } = parseReorderThreshold(req.body.reorder_threshold);
+    if (thresholdError) return res.status(400).json({ error: thresholdError });
 
     const [prevRows] = await db.query("SELECT stock, name, image_url FROM products WHERE id = ?", [id]);
     if (!prevRows.length) return res.status(404).json({ error: "Product not found" });
 
-    const prevStock = Number(prevRows[0].stock);
+    const previous = prevRows[0];
 
-    let image_url = existingImageUrl || prevRows[0].image_url;
+    // A new image is added to the gallery as the primary one; older photos are kept
+    let newImage = null;
     if (req.file) {
-      image_url = req.file.secure_url;
+      newImage = await saveProductImage(req.file);
+    } else if (existingImageUrl && existingImageUrl !== previous.image_url) {
+      // An external URL we don't manage
+      newImage = externalImage(existingImageUrl);
     }
 
-    await db.query(
-      `UPDATE products SET name=?, price=?, stock=?, category=?, description=?, image_url=? WHERE id=?`,
-      [name, price, stock, category, description, image_url, id]
-    );
+    const conn = await db.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      const before = await audit.snapshot("product", id, conn);
+      await conn.query(
+        `UPDATE products SET name=?, price=?, category=?, description=? WHERE id=?`,
+        [name, price, category, description, id]
+      );
+      // Products with variants keep the stock of their variants
+      const stockResult = await setStockLevel(conn, {
+        productId: id, stock, note: "Product edit", userId: req.session.user.id
+      });
+      if (stockResult.error) {
+        await conn.rollback();
+        if (req.file) await discardImage(newImage);
+        return res.status(stockResult.status).json({ error: stockResult.error });
+      }
 
-    const [rows] = await db.query("SELECT id, name, stock FROM products WHERE id=?", [id]);
-    const updated = rows[0];
+      if (reorder_threshold !== undefined) {
+        await conn.query("UPDATE products SET reorder_threshold=? WHERE id=?", [reorder_threshold, id]);
+      }
 
-    if (Number(updated.stock) < 20) {
-      await lowStockNotification(updated);
+      if (newImage) {
+        await insertProductImage(conn, id, newImage, { primary: true });
+        await syncPrimaryImage(conn, id);
+      }
+      await audit.record(req, {
+        action: "update",
+        entity: "product",
+        entityId: id,
+        before,
+        after: await audit.snapshot("product", id, conn)
+      }, conn);
+
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback();
+      // Don't leave the upload behind when the product never pointed at it
+      if (req.file) await discardImage(newImage);
+      throw err;
+    } finally {
+      conn.release();
     }
+    const image_url = newImage ? newImage.image_url : previous.image_url;
 
+    const [rows] = await db.query(
+      `SELECT id, name, stock, reorder_threshold, ${thresholdSql()} AS low_stock_threshold FROM products WHERE id=?`,
+      [id]
+    );
+    const updated = rows[0];
 
-    const supplyAlert = updated.stock < 20 ? "LOW ON SUPPLIES" : "OK";
+    await lowStockNotification(updated, previous.stock);
 
     res.json({
       message: "Product updated successfully",
-      supply_alert: supplyAlert,
+      supply_alert: supplyAlert(updated.stock, updated.low_stock_threshold),
       product: {
         id,
         name,
         price,
-        stock,
+        stock: updated.stock,
+        reorder_threshold: updated.reorder_threshold,
+        low_stock_threshold: updated.low_stock_threshold,
         category,
         description,
         image_url
@@ -359,296 +1220,3163 @@ app.put("/products/:id", upload.single("image"), async (req, res) => {
 
 
 
-app.delete("/products/:id", async (req, res) => {
+// Archives or restores a product; `archive` says which. Returns false after answering with an error.
+const setProductArchived = async (req, res, archive) => {
+  const { id } = req.params;
+  const conn = await db.getConnection();
   try {
-    const { id } = req.params;
-
-    const [rows] = await db.query("SELECT image_url FROM products WHERE id = ?", [id]);
+    await conn.beginTransaction();
 
+    const [rows] = await conn.query("SELECT archived_at FROM products WHERE id=? FOR UPDATE", [id]);
     if (!rows.length) {
-      return res.status(404).json({ error: "Product not found" });
+      await conn.rollback();
+      res.status(404).json({ error: "Product not found" });
+      return false;
+    }
+    if (Boolean(rows[0].archived_at) === archive) {
+      await conn.rollback();
+      res.status(409).json({ error: archive ? "Product is already archived" : "Product is not archived" });
+      return false;
     }
 
-    const imageUrl = rows[0].image_url;
-
-    if (imageUrl) {
-      const urlParts = imageUrl.split("/");  
-      const fileWithExt = urlParts[urlParts.length - 1];  
-      const fileName = fileWithExt.split(".")[0];          
-      const publicId = `products/${fileName}`;        
-
-      await cloudinary.uploader.destroy(publicId);
-        }
+    const before = await audit.snapshot("product", id, conn);
+    await conn.query(`UPDATE products SET archived_at=${archive ? "NOW()" : "NULL"} WHERE id=?`, [id]);
+    await audit.record(req, {
+      action: archive ? "archive" : "restore",
+      entity: "product",
+      entityId: id,
+      before,
+      after: await audit.snapshot("product", id, conn)
+    }, conn);
 
-    await db.query("DELETE FROM products WHERE id = ?", [id]);
+    await conn.commit();
+    return true;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+};
 
-    res.json({ message: "Product deleted successfully" });
+// Archives the product: it leaves the storefront and carts can't check it out, but past
+// orders and reports keep resolving it. Use /purge to remove it for good.
+app.delete("/products/:id", requirePermission("products:write"), async (req, res) => {
+  try {
+    if (await setProductArchived(req, res, true)) res.json({ message: "Product archived successfully" });
   } catch (err) {
-    console.error("Delete product error:", err);
-    res.status(500).json({ error: "Failed to delete product" });
+    console.error("Archive product error:", err);
+    res.status(500).json({ error: "Failed to archive product" });
   }
 });
 
-
-// USERS ----------------
-app.get("/users", async (req, res) => {
+app.post("/products/:id/restore", requirePermission("products:write"), async (req, res) => {
   try {
-    const [results] = await db.query("SELECT id, name, email, contact_number, role FROM users");
-    res.json(results);
+    if (await setProductArchived(req, res, false)) res.json({ message: "Product restored successfully" });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    console.error("Restore product error:", err);
+    res.status(500).json({ error: "Failed to restore product" });
   }
 });
 
-app.get("/users/:id", async (req, res) => {
+// Deletes an archived product and its images for good. Products that appear on any order
+// are kept so order history stays intact.
+app.delete("/products/:id/purge", requirePermission("products:write"), async (req, res) => {
+  const { id } = req.params;
+
+  const conn = await db.getConnection();
+  let assets;
   try {
-    const { id } = req.params;
-    const [results] = await db.query(
-      "SELECT id, name, email, contact_number, role FROM users WHERE id=?",
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(
+      "SELECT image_url, image_storage, image_asset_id, archived_at FROM products WHERE id=? FOR UPDATE",
       [id]
     );
-    if (results.length === 0) return res.status(404).json({ error: "User not found" });
-    res.json(results[0]);
+    if (!rows.length) {
+      await conn.rollback();
+      return res.status(404).json({ error: "Product not found" });
+    }
+    if (!rows[0].archived_at) {
+      await conn.rollback();
+      return res.status(409).json({ error: "Archive the product before purging it" });
+    }
+    const [[{ orders }]] = await conn.query(
+      "SELECT COUNT(DISTINCT order_id) AS orders FROM order_items WHERE product_id=?",
+      [id]
+    );
+    if (orders > 0) {
+      await conn.rollback();
+      return res.status(409).json({ error: `Product appears on ${orders} order(s) and cannot be purged` });
+    }
+
+    const [images] = await conn.query(
+      "SELECT image_url, image_storage, image_asset_id FROM product_images WHERE product_id = ?",
+      [id]
+    );
+    const before = await audit.snapshot("product", id, conn);
+
+    await conn.query("DELETE FROM products WHERE id = ?", [id]);
+    await audit.record(req, { action: "purge", entity: "product", entityId: id, before }, conn);
+    await conn.commit();
+
+    // Every gallery asset, plus the product's own image if it never made it into the gallery
+    assets = new Map();
+    for (const image of [...images, rows[0]]) {
+      if (image.image_url && !assets.has(image.image_url)) assets.set(image.image_url, image);
+    }
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    await conn.rollback();
+    console.error("Purge product error:", err);
+    return res.status(500).json({ error: "Failed to purge product" });
+  } finally {
+    conn.release();
   }
+
+  for (const image of assets.values()) await discardImage(image);
+  res.json({ message: "Product purged successfully" });
 });
 
+// PRODUCT GALLERY ----------------
 
-app.post("/users", async (req, res) => {
+app.post("/products/:id/images", requirePermission("products:write"), upload.array("images", 10), async (req, res) => {
   try {
-    const { name, email, contact_number, role, password } = req.body;
-    const [result] = await db.query(
-      "INSERT INTO users (name, email, contact_number, role, password) VALUES (?, ?, ?, ?, ?)",
-      [name, email, contact_number || null, role, password]
-    );
-    res.json({ message: "User created!", user_id: result.insertId });
+    const { id } = req.params;
+    if (!req.files?.length) return res.status(400).json({ error: "At least one image is required" });
+
+    const [rows] = await db.query("SELECT id FROM products WHERE id = ?", [id]);
+    if (!rows.length) return res.status(404).json({ error: "Product not found" });
+
+    // Uploaded before the transaction so a slow storage provider never holds the product lock
+    const images = [];
+    const conn = await db.getConnection();
+    try {
+      for (const file of req.files) images.push(await saveProductImage(file));
+
+      await conn.beginTransaction();
+      const before = await audit.snapshot("product", id, conn);
+      for (const image of images) await insertProductImage(conn, id, image);
+      await syncPrimaryImage(conn, id);
+      await audit.record(req, {
+        action: "add_images",
+        entity: "product",
+        entityId: id,
+        before,
+        after: await audit.snapshot("product", id, conn)
+      }, conn);
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback();
+      for (const image of images) await discardImage(image);
+      throw err;
+    } finally {
+      conn.release();
+    }
+
+    res.status(201).json({ message: "Images added", images: await listProductImages(id) });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    console.error("Add product images error:", err);
+    res.status(500).json({ error: "Failed to add images" });
   }
-}); 
+});
 
-app.put("/users/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { name, email, contact_number, role, password } = req.body;
+// Body: { image_ids: [...] } listing every image of the product in the new order
+app.put("/products/:id/images/order", requirePermission("products:write"),
+  validate({ body: { image_ids: field.array({ required: true, min: 1, of: field.id() }) } }), async (req, res) => {
+  const { id } = req.params;
+  const imageIds = req.body.image_ids;
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [images] = await conn.query("SELECT id FROM product_images WHERE product_id=? FOR UPDATE", [id]);
+    const before = await audit.snapshot("product", id, conn);
+    const existing = new Set(images.map(img => img.id));
+    const requested = imageIds.map(Number);
+    if (requested.length !== existing.size || new Set(requested).size !== existing.size || !requested.every(i => existing.has(i))) {
+      await conn.rollback();
+      return res.status(400).json({ error: "image_ids must list every image of this product exactly once" });
+    }
+
+    for (const [position, imageId] of requested.entries()) {
+      await conn.query("UPDATE product_images SET position=? WHERE id=?", [position, imageId]);
+    }
+    await audit.record(req, {
+      action: "reorder_images",
+      entity: "product",
+      entityId: id,
+      before,
+      after: await audit.snapshot("product", id, conn)
+    }, conn);
+
+    await conn.commit();
+    res.json({ message: "Images reordered", images: await listProductImages(id) });
+  } catch (err) {
+    await conn.rollback();
+    console.error("Reorder product images error:", err);
+    res.status(500).json({ error: "Failed to reorder images" });
+  } finally {
+    conn.release();
+  }
+});
+
+app.put("/products/:id/images/:imageId/primary", requirePermission("products:write"), async (req, res) => {
+  const { id, imageId } = req.params;
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [images] = await conn.query("SELECT id FROM product_images WHERE id=? AND product_id=?", [imageId, id]);
+    if (!images.length) {
+      await conn.rollback();
+      return res.status(404).json({ error: "Image not found" });
+    }
+
+    const before = await audit.snapshot("product", id, conn);
+    await conn.query("UPDATE product_images SET is_primary = (id = ?) WHERE product_id=?", [imageId, id]);
+    await syncPrimaryImage(conn, id);
+    await audit.record(req, {
+      action: "set_primary_image",
+      entity: "product",
+      entityId: id,
+      before,
+      after: await audit.snapshot("product", id, conn)
+    }, conn);
+
+    await conn.commit();
+    res.json({ message: "Primary image updated", images: await listProductImages(id) });
+  } catch (err) {
+    await conn.rollback();
+    console.error("Set primary image error:", err);
+    res.status(500).json({ error: "Failed to set primary image" });
+  } finally {
+    conn.release();
+  }
+});
+
+app.delete("/products/:id/images/:imageId", requirePermission("products:write"), async (req, res) => {
+  const { id, imageId } = req.params;
+
+  const conn = await db.getConnection();
+  let removed;
+  try {
+    await conn.beginTransaction();
+
+    const [images] = await conn.query(
+      "SELECT id, image_url, image_storage, image_asset_id FROM product_images WHERE product_id=? FOR UPDATE",
+      [id]
+    );
+    removed = images.find(img => String(img.id) === String(imageId));
+    if (!removed) {
+      await conn.rollback();
+      return res.status(404).json({ error: "Image not found" });
+    }
+    if (images.length === 1) {
+      await conn.rollback();
+      return res.status(400).json({ error: "A product must keep at least one image" });
+    }
+
+    const before = await audit.snapshot("product", id, conn);
+    await conn.query("DELETE FROM product_images WHERE id=?", [removed.id]);
+    await syncPrimaryImage(conn, id);
+    await audit.record(req, {
+      action: "delete_image",
+      entity: "product",
+      entityId: id,
+      before,
+      after: await audit.snapshot("product", id, conn)
+    }, conn);
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    console.error("Delete product image error:", err);
+    return res.status(500).json({ error: "Failed to delete image" });
+  } finally {
+    conn.release();
+  }
+
+  await discardImage(removed);
+  res.json({ message: "Image deleted", images: await listProductImages(id) });
+});
+
+
+// PRODUCT VARIANTS ----------------
+
+// `required` is false for updates, which only send the fields they change
+const variantBody = (required) => ({
+  name: field.string({ required, min: 1, max: 255 }),
+  price: field.number({ required, min: 0 }),
+  stock: field.integer({ min: 0 }),
+  sku: field.string({ nullable: true, max: 64 }),
+  attributes: field.object({ nullable: true, of: field.scalar() }),
+  position: field.integer()
+});
+
+const VARIANT_COLUMNS = ["name", "price", "stock", "sku", "attributes", "position"];
+
+// Column values from a validated variant body; fields the body left out stay out
+const variantFromBody = (body) => {
+  const variant = {};
+  for (const column of VARIANT_COLUMNS) {
+    if (body[column] !== undefined) variant[column] = body[column];
+  }
+  if (variant.sku !== undefined) variant.sku = variant.sku || null;
+  if (variant.attributes !== undefined) variant.attributes = variant.attributes ? JSON.stringify(variant.attributes) : null;
+  return variant;
+};
+
+const variantParams = { id: field.id({ required: true }), variantId: field.id({ required: true }) };
+
+app.get("/products/:id/variants", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const [rows] = await db.query("SELECT id FROM products WHERE id = ?", [id]);
+    if (!rows.length) return res.status(404).json({ error: "Product not found" });
+
+    const variants = (await loadVariants([rows[0].id])).get(rows[0].id);
+    res.json({ variants, variant_options: variantOptions(variants) });
+  } catch (err) {
+    console.error("Fetch variants error:", err);
+    res.status(500).json({ error: "Failed to load variants" });
+  }
+});
+
+app.post("/products/:id/variants", requirePermission("products:write"), validate({
+  params: { id: field.id({ required: true }) },
+  body: variantBody(true)
+}), async (req, res) => {
+  const { id } = req.params;
+  const variant = { stock: 0, ...variantFromBody(req.body) };
+
+  const conn = await db.getConnection();
+  let result;
+  try {
+    await conn.beginTransaction();
+
+    // Same lock order as checkout: the product before its variants
+    const [products] = await conn.query("SELECT id FROM products WHERE id=? FOR UPDATE", [id]);
+    if (!products.length) {
+      await conn.rollback();
+      return res.status(404).json({ error: "Product not found" });
+    }
+    const before = await audit.snapshot("product", id, conn);
+
+    [result] = await conn.query(
+      `INSERT INTO product_variants (product_id, sku, name, attributes, price, stock, position, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [id, variant.sku ?? null, variant.name, variant.attributes ?? null, variant.price, variant.stock, variant.position ?? 0]
+    );
+    await syncVariantStock(conn, id);
+    await audit.record(req, { action: "create_variant", entity: "product", entityId: id, before, after: await audit.snapshot("product", id, conn) }, conn);
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    if (err.code === "ER_DUP_ENTRY") return res.status(409).json({ error: "A variant with that sku already exists" });
+    console.error("Add variant error:", err);
+    return res.status(500).json({ error: "Failed to add variant" });
+  } finally {
+    conn.release();
+  }
+
+  await variantLowStockNotification({ id: result.insertId });
+  const variants = (await loadVariants([id])).get(id);
+  res.status(201).json({ message: "Variant added", variant: variants.find(v => v.id === result.insertId) });
+});
+
+app.put("/products/:id/variants/:variantId", requirePermission("products:write"), validate({
+  params: variantParams,
+  body: variantBody(false)
+}), async (req, res) => {
+  const { id, variantId } = req.params;
+  const variant = variantFromBody(req.body);
+  if (!Object.keys(variant).length) return res.status(400).json({ error: "Nothing to update" });
+
+  const conn = await db.getConnection();
+  let previous;
+  try {
+    await conn.beginTransaction();
+
+    await conn.query("SELECT id FROM products WHERE id=? FOR UPDATE", [id]);
+    [previous] = await conn.query("SELECT stock FROM product_variants WHERE id=? AND product_id=? FOR UPDATE", [variantId, id]);
+    if (!previous.length) {
+      await conn.rollback();
+      return res.status(404).json({ error: "Variant not found" });
+    }
+    const before = await audit.snapshot("product", id, conn);
+
+    // Stock changes go through the ledger
+    const { stock, ...fields } = variant;
+    const columns = Object.keys(fields);
+    if (columns.length) {
+      await conn.query(
+        `UPDATE product_variants SET ${columns.map(c => `${c}=?`).join(", ")} WHERE id=? AND product_id=?`,
+        [...columns.map(c => fields[c]), variantId, id]
+      );
+    }
+    if (stock !== undefined) {
+      await setStockLevel(conn, { productId: id, variantId, stock, note: "Variant edit", userId: req.session.user.id });
+    }
+    await audit.record(req, { action: "update_variant", entity: "product", entityId: id, before, after: await audit.snapshot("product", id, conn) }, conn);
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    if (err.code === "ER_DUP_ENTRY") return res.status(409).json({ error: "A variant with that sku already exists" });
+    console.error("Update variant error:", err);
+    return res.status(500).json({ error: "Failed to update variant" });
+  } finally {
+    conn.release();
+  }
+
+  if (variant.stock !== undefined) await variantLowStockNotification({ id: variantId }, previous[0].stock);
+  const variants = (await loadVariants([id])).get(id);
+  res.json({ message: "Variant updated", variant: variants.find(v => v.id === variantId) });
+});
+
+app.delete("/products/:id/variants/:variantId", requirePermission("products:write"),
+  validate({ params: variantParams }), async (req, res) => {
+  const { id, variantId } = req.params;
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    await conn.query("SELECT id FROM products WHERE id=? FOR UPDATE", [id]);
+    const [variants] = await conn.query("SELECT id FROM product_variants WHERE id=? AND product_id=? FOR UPDATE", [variantId, id]);
+    if (!variants.length) {
+      await conn.rollback();
+      return res.status(404).json({ error: "Variant not found" });
+    }
+    const before = await audit.snapshot("product", id, conn);
+
+    await conn.query("DELETE FROM product_variants WHERE id=?", [variantId]);
+    await syncVariantStock(conn, id);
+    await audit.record(req, { action: "delete_variant", entity: "product", entityId: id, before, after: await audit.snapshot("product", id, conn) }, conn);
+
+    await conn.commit();
+    res.json({ message: "Variant deleted" });
+  } catch (err) {
+    await conn.rollback();
+    console.error("Delete variant error:", err);
+    res.status(500).json({ error: "Failed to delete variant" });
+  } finally {
+    conn.release();
+  }
+});
+
+// INVENTORY ----------------
+
+const ADJUSTMENT_REASONS = ["restock", "spoilage", "correction"];
+
+// Changes the stock of a product (or one of its variants) and records it in the ledger.
+// A positive change with `batch` ({ received_at, expires_at }) is received as a new batch;
+// negative changes draw down batches. Must run inside a transaction.
+// Returns { adjustment } or { status, error }.
+const adjustStock = async (conn, {
+  productId, variantId = null, change, reason, note = null, userId = null, batch = null, consume = true
+}) => {
+  // Same lock order as checkout: product first, then its variants
+  const [products] = await conn.query("SELECT id, stock FROM products WHERE id=? FOR UPDATE", [productId]);
+  if (!products.length) return { status: 404, error: "Product not found" };
+
+  const [variants] = await conn.query(
+    "SELECT id, stock FROM product_variants WHERE product_id=? ORDER BY id FOR UPDATE",
+    [productId]
+  );
+  if (variants.length && variantId === null) {
+    return { status: 400, error: "variant_id is required for products with variants" };
+  }
+
+  const target = variantId === null ? products[0] : variants.find(v => v.id === variantId);
+  if (!target) return { status: 404, error: "Variant not found" };
+
+  const previousStock = target.stock;
+  const newStock = previousStock + change;
+  if (newStock < 0) {
+    return { status: 409, error: `Adjustment would take stock below zero (current stock: ${previousStock})` };
+  }
+
+  if (variantId === null) {
+    await conn.query("UPDATE products SET stock=? WHERE id=?", [newStock, productId]);
+  } else {
+    await conn.query("UPDATE product_variants SET stock=? WHERE id=?", [newStock, variantId]);
+    await syncVariantStock(conn, productId);
+  }
+
+  let batchId = null;
+  if (change > 0 && batch) {
+    const [batchResult] = await conn.query(
+      `INSERT INTO stock_batches
+         (product_id, variant_id, quantity_received, quantity_remaining, received_at, expires_at, note, created_by, created_at)
+       VALUES (?, ?, ?, ?, IFNULL(?, CURDATE()), ?, ?, ?, NOW())`,
+      [productId, variantId, change, change, batch.received_at || null, batch.expires_at, note, userId]
+    );
+    batchId = batchResult.insertId;
+  } else if (change < 0 && consume) {
+    await consumeBatches(conn, { productId, variantId, stockBefore: previousStock, quantity: -change });
+  }
+
+  const [result] = await conn.query(
+    `INSERT INTO stock_adjustments
+       (product_id, variant_id, reason, quantity_change, previous_stock, new_stock, note, created_by, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [productId, variantId, reason, change, previousStock, newStock, note, userId]
+  );
+
+  return {
+    adjustment: {
+      id: result.insertId,
+      product_id: Number(productId),
+      variant_id: variantId,
+      batch_id: batchId,
+      reason,
+      quantity_change: change,
+      previous_stock: previousStock,
+      new_stock: newStock,
+      note
+    }
+  };
+};
+
+// Brings a product (or one of its variants) to an absolute stock level through the ledger,
+// as a "correction". A product with variants takes its stock from them, so setting the
+// product itself does nothing. Must run inside a transaction.
+// Returns adjustStock's result, or {} when the stock didn't change.
+const setStockLevel = async (conn, { productId, variantId = null, stock, note = null, userId = null }) => {
+  const [products] = await conn.query("SELECT stock FROM products WHERE id=? FOR UPDATE", [productId]);
+  if (!products.length) return { status: 404, error: "Product not found" };
+
+  const [variants] = await conn.query(
+    "SELECT id, stock FROM product_variants WHERE product_id=? ORDER BY id FOR UPDATE",
+    [productId]
+  );
+  if (variantId === null && variants.length) return {};
+
+  const target = variantId === null ? products[0] : variants.find(v => v.id === variantId);
+  if (!target) return { status: 404, error: "Variant not found" };
+  if (target.stock === stock) return {};
+
+  return adjustStock(conn, { productId, variantId, change: stock - target.stock, reason: "correction", note, userId });
+};
+
+// Body: { reason, quantity, variant_id?, note?, received_at?, expires_at? }
+// restock adds `quantity` (as a dated batch when expires_at is given), spoilage removes it,
+// correction applies it as a signed change
+const stockAdjustmentBody = {
+  reason: field.enum({ required: true, values: ADJUSTMENT_REASONS }),
+  quantity: field.integer({ required: true }),
+  variant_id: field.id({ nullable: true }),
+  note: field.string({ max: 255 }),
+  received_at: field.date(),
+  expires_at: field.date()
+};
+
+app.post("/products/:id/stock-adjustments", requirePermission("inventory:manage"),
+  validate({ body: stockAdjustmentBody }), async (req, res) => {
+  const { id } = req.params;
+  const { reason, quantity, note, received_at, expires_at } = req.body;
+  const variantId = req.body.variant_id ?? null;
+
+  if (quantity === 0 || (reason !== "correction" && quantity < 0)) {
+    return res.status(400).json({
+      error: reason === "correction"
+        ? "quantity must be a non-zero integer"
+        : "quantity must be a positive integer"
+    });
+  }
+  if ((expires_at || received_at) && reason !== "restock") {
+    return res.status(400).json({ error: "received_at and expires_at only apply to restocks" });
+  }
+  if (received_at && !expires_at) return res.status(400).json({ error: "expires_at is required with received_at" });
+  if (received_at && expires_at < received_at) {
+    return res.status(400).json({ error: "expires_at cannot be before received_at" });
+  }
+
+  const change = reason === "spoilage" ? -quantity : quantity;
+
+  const conn = await db.getConnection();
+  let adjustment;
+  try {
+    await conn.beginTransaction();
+
+    const before = await audit.snapshot("product", id, conn);
+    const result = await adjustStock(conn, {
+      productId: id,
+      variantId,
+      change,
+      reason,
+      note: note || null,
+      userId: req.session.user.id,
+      batch: expires_at ? { received_at, expires_at } : null
+    });
+    if (result.error) {
+      await conn.rollback();
+      return res.status(result.status).json({ error: result.error });
+    }
+    adjustment = result.adjustment;
+    await audit.record(req, {
+      action: "adjust_stock",
+      entity: "product",
+      entityId: id,
+      before,
+      after: await audit.snapshot("product", id, conn)
+    }, conn);
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    console.error("Stock adjustment error:", err);
+    return res.status(500).json({ error: "Failed to adjust stock" });
+  } finally {
+    conn.release();
+  }
+
+  if (variantId === null) {
+    await lowStockNotification({ id }, adjustment.previous_stock);
+  } else {
+    await variantLowStockNotification({ id: variantId }, adjustment.previous_stock);
+  }
+
+  res.status(201).json({ message: "Stock adjusted", adjustment });
+});
+
+app.get("/products/:id/batches", requirePermission("inventory:read"),
+  validate({ query: { open: field.boolean() } }), async (req, res) => {
+  try {
+    const openOnly = req.validQuery.open === true;
+    const [rows] = await db.query(
+      `SELECT b.id, b.product_id, b.variant_id, v.name AS variant_name, b.quantity_received, b.quantity_remaining,
+              b.received_at, b.expires_at, b.written_off_at, b.written_off_quantity, b.note, b.created_at,
+              (b.written_off_at IS NULL AND b.expires_at < CURDATE()) AS is_expired
+       FROM stock_batches b
+       LEFT JOIN product_variants v ON v.id = b.variant_id
+       WHERE b.product_id=? ${openOnly ? "AND b.quantity_remaining > 0 AND b.written_off_at IS NULL" : ""}
+       ORDER BY b.received_at, b.id`,
+      [req.params.id]
+    );
+    res.json(rows.map(row => ({ ...row, is_expired: Boolean(row.is_expired) })));
+  } catch (err) {
+    console.error("Fetch batches error:", err);
+    res.status(500).json({ error: "Failed to load batches" });
+  }
+});
+
+// Units written off as spoiled (manual spoilage and expired batches), by product/variant
+app.get("/inventory/spoilage", requirePermission("inventory:read"), validate({
+  query: { from: field.date(), to: field.date() }
+}), async (req, res) => {
+  const filters = reportFilters(req.validQuery);
+
+  try {
+    const conditions = ["a.reason = 'spoilage'"];
+    const params = [];
+    if (filters.from) {
+      conditions.push("a.created_at >= ?");
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      conditions.push("a.created_at < DATE_ADD(?, INTERVAL 1 DAY)");
+      params.push(filters.to);
+    }
+
+    const [rows] = await db.query(
+      `SELECT a.product_id, p.name AS product_name, a.variant_id, v.name AS variant_name, p.category,
+              -SUM(a.quantity_change) AS units_spoiled,
+              -SUM(a.quantity_change) * IFNULL(v.price, p.price) AS value_at_current_price,
+              COUNT(*) AS write_offs
+       FROM stock_adjustments a
+       JOIN products p ON p.id = a.product_id
+       LEFT JOIN product_variants v ON v.id = a.variant_id
+       WHERE ${conditions.join(" AND ")}
+       GROUP BY a.product_id, a.variant_id, p.name, v.name, p.category, v.price, p.price
+       ORDER BY units_spoiled DESC`,
+      params
+    );
+
+    const totals = rows.reduce((sum, row) => ({
+      units_spoiled: sum.units_spoiled + Number(row.units_spoiled),
+      value_at_current_price: sum.value_at_current_price + Number(row.value_at_current_price)
+    }), { units_spoiled: 0, value_at_current_price: 0 });
+
+    res.json({ totals, items: rows });
+  } catch (err) {
+    console.error("Spoilage report error:", err);
+    res.status(500).json({ error: "Failed to load spoilage report" });
+  }
+});
+
+app.get("/products/:id/stock-adjustments", requirePermission("inventory:read"), validate({ query: paginationQuery }), async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    const [[{ total }]] = await db.query(
+      "SELECT COUNT(*) AS total FROM stock_adjustments WHERE product_id=?",
+      [req.params.id]
+    );
+    const [rows] = await db.query(
+      `SELECT a.id, a.product_id, a.variant_id, v.name AS variant_name, a.reason, a.quantity_change,
+              a.previous_stock, a.new_stock, a.note, a.created_by, u.name AS created_by_name, a.created_at
+       FROM stock_adjustments a
+       LEFT JOIN product_variants v ON v.id = a.variant_id
+       LEFT JOIN users u ON u.id = a.created_by
+       WHERE a.product_id=?
+       ORDER BY a.created_at DESC, a.id DESC
+       LIMIT ? OFFSET ?`,
+      [req.params.id, pagination.limit, pagination.offset]
+    );
+    res.json({ data: rows, pagination: paginationMeta(pagination, total) });
+  } catch (err) {
+    console.error("Fetch stock adjustments error:", err);
+    res.status(500).json({ error: "Failed to load stock adjustments" });
+  }
+});
+
+// Products (or variants, for products that have them) below their reorder threshold
+app.get("/inventory/low-stock", requirePermission("inventory:read"), async (req, res) => {
+  try {
+    const [products] = await db.query(`
+      SELECT * FROM (
+        SELECT id AS product_id, NULL AS variant_id, name AS product_name, NULL AS variant_name,
+               category, stock, ${thresholdSql()} AS low_stock_threshold
+        FROM products
+        WHERE archived_at IS NULL
+          AND NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = products.id)
+      ) p
+      WHERE p.stock < p.low_stock_threshold
+    `);
+    const [variants] = await db.query(`
+      SELECT * FROM (
+        SELECT p.id AS product_id, v.id AS variant_id, p.name AS product_name, v.name AS variant_name,
+               p.category, v.stock, ${thresholdSql("p")} AS low_stock_threshold
+        FROM product_variants v
+        JOIN products p ON p.id = v.product_id
+        WHERE p.archived_at IS NULL
+      ) pv
+      WHERE pv.stock < pv.low_stock_threshold
+    `);
+
+    const items = [...products, ...variants]
+      .map(item => ({ ...item, shortfall: Number(item.low_stock_threshold) - Number(item.stock) }))
+      .sort((a, b) => b.shortfall - a.shortfall);
+
+    res.json({ count: items.length, items });
+  } catch (err) {
+    console.error("Low stock report error:", err);
+    res.status(500).json({ error: "Failed to load low stock report" });
+  }
+});
+
+app.get("/inventory/category-thresholds", requirePermission("inventory:read"), async (req, res) => {
+  try {
+    const [rows] = await db.query("SELECT category, reorder_threshold, updated_at FROM category_thresholds ORDER BY category");
+    res.json({ default_threshold: LOW_STOCK_THRESHOLD, categories: rows });
+  } catch (err) {
+    console.error("Fetch category thresholds error:", err);
+    res.status(500).json({ error: "Failed to load category thresholds" });
+  }
+});
+
+app.put("/inventory/category-thresholds/:category", requirePermission("inventory:manage"),
+  validate({ params: { category: field.string({ required: true, max: 255 }) } }), async (req, res) => {
+  const { value, error } = parseReorderThreshold(req.body.reorder_threshold);
+  if (error || value == null) {
+    return res.status(400).json({ error: error || "reorder_threshold is required" });
+  }
+
+  try {
+    await db.query(
+      `INSERT INTO category_thresholds (category, reorder_threshold, updated_at) VALUES (?, ?, NOW())
+       ON DUPLICATE KEY UPDATE reorder_threshold = VALUES(reorder_threshold), updated_at = NOW()`,
+      [req.params.category, value]
+    );
+    res.json({ message: "Category threshold saved", category: req.params.category, reorder_threshold: value });
+  } catch (err) {
+    console.error("Save category threshold error:", err);
+    res.status(500).json({ error: "Failed to save category threshold" });
+  }
+});
+
+app.delete("/inventory/category-thresholds/:category", requirePermission("inventory:manage"), async (req, res) => {
+  try {
+    const [result] = await db.query("DELETE FROM category_thresholds WHERE category=?", [req.params.category]);
+    if (!result.affectedRows) return res.status(404).json({ error: "Category threshold not found" });
+    res.json({ message: "Category threshold removed" });
+  } catch (err) {
+    console.error("Delete category threshold error:", err);
+    res.status(500).json({ error: "Failed to remove category threshold" });
+  }
+});
+
+// USERS ----------------
+const userBody = (passwordRequired) => ({
+  name: field.string({ required: true, min: 1, max: 255 }),
+  email: field.email({ required: true }),
+  contact_number: field.string({ max: 50 }),
+  role: field.enum({ required: true, values: ROLES }),
+  password: field.string({ required: passwordRequired, min: MIN_PASSWORD_LENGTH, max: 255, trim: false })
+});
+
+// GET /users?include_archived=true
+app.get("/users", requirePermission("users:manage"), validate({ query: { include_archived: field.boolean() } }), async (req, res) => {
+  try {
+    const where = req.validQuery.include_archived ? "" : "WHERE archived_at IS NULL";
+    const [results] = await db.query(`SELECT id, name, email, contact_number, role, archived_at FROM users ${where}`);
+    res.json(results);
+  } catch (err) {
+    console.error("Fetch users error:", err);
+    res.status(500).json({ error: "Failed to load users" });
+  }
+});
+
+app.get("/users/:id", requirePermission("users:manage"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const [results] = await db.query(
+      "SELECT id, name, email, contact_number, role, archived_at FROM users WHERE id=?",
+      [id]
+    );
+    if (results.length === 0) return res.status(404).json({ error: "User not found" });
+    res.json(results[0]);
+  } catch (err) {
+    console.error("Fetch user error:", err);
+    res.status(500).json({ error: "Failed to load user" });
+  }
+});
+
+
+app.post("/users", requirePermission("users:manage"), validate({ body: userBody(true) }), async (req, res) => {
+  const { name, email, contact_number, role, password } = req.body;
+
+  const conn = await db.getConnection();
+  try {
+    const passwordHash = await hashPassword(password);
+    await conn.beginTransaction();
+
+    const [result] = await conn.query(
+      "INSERT INTO users (name, email, contact_number, role, password) VALUES (?, ?, ?, ?, ?)",
+      [name, email, contact_number || null, role, passwordHash]
+    );
+    await audit.record(req, {
+      action: "create",
+      entity: "user",
+      entityId: result.insertId,
+      after: await audit.snapshot("user", result.insertId, conn)
+    }, conn);
+
+    await conn.commit();
+    res.json({ message: "User created!", user_id: result.insertId });
+  } catch (err) {
+    await conn.rollback();
+    if (err.code === "ER_DUP_ENTRY") return res.status(409).json({ error: "An account with that email already exists." });
+    console.error("Create user error:", err);
+    res.status(500).json({ error: "Failed to create user" });
+  } finally {
+    conn.release();
+  }
+});
+
+app.put("/users/:id", requirePermission("users:manage"), validate({ body: userBody(false) }), async (req, res) => {
+  const { id } = req.params;
+  const { name, email, contact_number, role, password } = req.body;
+
+  const conn = await db.getConnection();
+  try {
     const query = password
       ? "UPDATE users SET name=?, email=?, contact_number=?, role=?, password=? WHERE id=?"
       : "UPDATE users SET name=?, email=?, contact_number=?, role=? WHERE id=?";
     const params = password
-      ? [name, email, contact_number || null, role, password, id]
+      ? [name, email, contact_number || null, role, await hashPassword(password), id]
       : [name, email, contact_number || null, role, id];
-    await db.query(query, params);
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query("SELECT id FROM users WHERE id=? FOR UPDATE", [id]);
+    if (!rows.length) {
+      await conn.rollback();
+      return res.status(404).json({ error: "User not found" });
+    }
+    const before = await audit.snapshot("user", id, conn);
+    await conn.query(query, params);
+    await audit.record(req, { action: "update", entity: "user", entityId: id, before, after: await audit.snapshot("user", id, conn) }, conn);
+
+    await conn.commit();
     res.json({ message: "User updated!" });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    await conn.rollback();
+    if (err.code === "ER_DUP_ENTRY") return res.status(409).json({ error: "An account with that email already exists." });
+    console.error("Update user error:", err);
+    res.status(500).json({ error: "Failed to update user" });
+  } finally {
+    conn.release();
+  }
+});
+
+// Archives or restores a user; `archive` says which. Returns false after answering with an error.
+const setUserArchived = async (req, res, archive) => {
+  const { id } = req.params;
+  if (archive && String(id) === String(req.session.user.id)) {
+    res.status(400).json({ error: "You cannot archive your own account" });
+    return false;
+  }
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query("SELECT archived_at FROM users WHERE id=? FOR UPDATE", [id]);
+    if (!rows.length) {
+      await conn.rollback();
+      res.status(404).json({ error: "User not found" });
+      return false;
+    }
+    if (Boolean(rows[0].archived_at) === archive) {
+      await conn.rollback();
+      res.status(409).json({ error: archive ? "User is already archived" : "User is not archived" });
+      return false;
+    }
+
+    const before = await audit.snapshot("user", id, conn);
+    await conn.query(`UPDATE users SET archived_at=${archive ? "NOW()" : "NULL"} WHERE id=?`, [id]);
+    await audit.record(req, {
+      action: archive ? "archive" : "restore",
+      entity: "user",
+      entityId: id,
+      before,
+      after: await audit.snapshot("user", id, conn)
+    }, conn);
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  // Sign them out now rather than when their session expires
+  if (archive) {
+    await destroyUserSessions(id);
+    io.in(userRoom(id)).disconnectSockets(true);
+  }
+  return true;
+};
+
+// Archives the user: they can no longer log in, but their orders keep pointing at them.
+// Use /purge to remove the account for good.
+app.delete("/users/:id", requirePermission("users:manage"), async (req, res) => {
+  try {
+    if (await setUserArchived(req, res, true)) res.json({ message: "User archived!" });
+  } catch (err) {
+    console.error("Archive user error:", err);
+    res.status(500).json({ error: "Failed to archive user" });
+  }
+});
+
+app.post("/users/:id/restore", requirePermission("users:manage"), async (req, res) => {
+  try {
+    if (await setUserArchived(req, res, false)) res.json({ message: "User restored!" });
+  } catch (err) {
+    console.error("Restore user error:", err);
+    res.status(500).json({ error: "Failed to restore user" });
+  }
+});
+
+// Deletes an archived user for good. Users who placed or handled any order are kept.
+app.delete("/users/:id/purge", requirePermission("users:manage"), async (req, res) => {
+  const { id } = req.params;
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query("SELECT archived_at FROM users WHERE id=? FOR UPDATE", [id]);
+    if (!rows.length) {
+      await conn.rollback();
+      return res.status(404).json({ error: "User not found" });
+    }
+    if (!rows[0].archived_at) {
+      await conn.rollback();
+      return res.status(409).json({ error: "Archive the user before purging them" });
+    }
+    const [[{ orders }]] = await conn.query(
+      `SELECT (SELECT COUNT(*) FROM orders WHERE user_id=?)
+         + (SELECT COUNT(DISTINCT order_id) FROM order_status_history WHERE changed_by=?) AS orders`,
+      [id, id]
+    );
+    if (orders > 0) {
+      await conn.rollback();
+      return res.status(409).json({ error: "User is referenced by orders and cannot be purged" });
+    }
+
+    const before = await audit.snapshot("user", id, conn);
+    await conn.query("DELETE FROM users WHERE id=?", [id]);
+    await audit.record(req, { action: "purge", entity: "user", entityId: id, before }, conn);
+
+    await conn.commit();
+    res.json({ message: "User purged!" });
+  } catch (err) {
+    await conn.rollback();
+    if (err.code === "ER_ROW_IS_REFERENCED_2") {
+      return res.status(409).json({ error: "User is referenced by other records and cannot be purged" });
+    }
+    console.error("Purge user error:", err);
+    res.status(500).json({ error: "Failed to purge user" });
+  } finally {
+    conn.release();
+  }
+});
+
+// ---------------- AUDIT LOG ----------------
+// GET /audit-log?entity=&entity_id=&actor_id=&action=&from=&to=&page=&limit=
+app.get("/audit-log", requirePermission("audit:read"), validate({
+  query: {
+    ...paginationQuery,
+    entity: field.enum({ values: AUDIT_ENTITIES }),
+    entity_id: field.id(),
+    actor_id: field.id(),
+    action: field.string({ max: 64 }),
+    from: field.date(),
+    to: field.date()
+  }
+}), async (req, res) => {
+  const { from, to } = req.validQuery;
+  if (from && to && from > to) return res.status(400).json({ error: "from cannot be after to" });
+
+  try {
+    const pagination = parsePagination(req.query);
+    const { rows, total } = await audit.list(req.validQuery, pagination);
+    res.json({ data: rows, pagination: paginationMeta(pagination, total) });
+  } catch (err) {
+    console.error("Fetch audit log error:", err);
+    res.status(500).json({ error: "Failed to load audit log" });
+  }
+});
+
+// ---------------- ORDERS ----------------
+// GET /orders?status=&payment_mode=&from=&to=&user_id=&customer=&page=&limit=
+app.get("/orders", requirePermission("orders:read"), validate({
+  query: { ...paginationQuery, ...orderFilterQuery }
+}), async (req, res) => {
+  try {
+    res.json(await listOrders(buildOrderFilters(req.validQuery), parsePagination(req.query)));
+  } catch (err) {
+    console.error("Fetch orders error:", err);
+    res.status(500).json({ error: "Failed to load orders" });
+  }
+});
+
+const ORDER_CSV_COLUMNS = [
+  "order_id", "created_at", "user_id", "user_name", "status", "payment_mode", "payment_status",
+  "order_subtotal", "order_discount", "coupon_code", "order_total",
+  "recipient_name", "recipient_phone", "delivery_address", "delivery_date", "delivery_slot",
+  "product_id", "product_name", "variant_id", "variant_name", "quantity", "item_price", "item_total"
+];
+
+// Same filters as GET /orders, one CSV row per line item
+app.get("/orders/export.csv", requirePermission("orders:read"), validate({ query: orderFilterQuery }), async (req, res) => {
+  try {
+    const { where, params } = buildOrderFilters(req.validQuery);
+    const [rows] = await db.query(`
+      SELECT 
+        o.id AS order_id,
+        o.created_at,
+        o.user_id,
+        o.user_name,
+        o.status,
+        o.payment_mode,
+        o.payment_status,
+        o.subtotal AS order_subtotal,
+        o.discount AS order_discount,
+        o.coupon_code,
+        o.total AS order_total,
+        o.recipient_name,
+        o.recipient_phone,
+        o.delivery_address,
+        DATE_FORMAT(o.delivery_date, '%Y-%m-%d') AS delivery_date,
+        ds.label AS delivery_slot,
+        oi.product_id,
+        oi.product_name,
+        oi.variant_id,
+        oi.variant_name,
+        oi.quantity,
+        oi.price AS item_price,
+        oi.total AS item_total
+      FROM orders o
+      LEFT JOIN order_items oi ON oi.order_id = o.id
+      LEFT JOIN delivery_slots ds ON ds.id = o.delivery_slot_id
+      ${where}
+      ORDER BY o.created_at DESC, o.id DESC, oi.id
+    `, params);
+    sendCSV(res, "orders.csv", rows, ORDER_CSV_COLUMNS);
+  } catch (err) {
+    console.error("Export orders error:", err);
+    res.status(500).json({ error: "Failed to export orders" });
+  }
+});
+
+// Staff see any order, customers only their own
+app.get("/orders/:id", requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const [rows] = await db.query(`SELECT ${ORDER_COLUMNS} FROM orders o WHERE o.id = ?`, [id]);
+    if (!rows.length) return res.status(404).json({ error: "Order not found" });
+
+    const user = req.session.user;
+    if (!hasPermission(user, "orders:read") && rows[0].user_id !== user.id) {
+      // Don't reveal that someone else's order exists
+      return res.status(404).json({ error: "Order not found" });
+    }
+
+    const [order] = await attachOrderItems(rows);
+    res.json(order);
+  } catch (err) {
+    console.error("Fetch order error:", err);
+    res.status(500).json({ error: "Failed to load order" });
+  }
+});
+
+// The recipient and delivery fields of a validated checkout body
+const deliveryFromBody = (body) => ({
+  recipient_name: body.recipient_name,
+  recipient_phone: body.recipient_phone,
+  delivery_address: body.delivery_address,
+  card_message: body.card_message || null,
+  delivery_date: body.delivery_date,
+  delivery_slot_id: body.delivery_slot_id
+});
+
+// Orders in these statuses don't take up delivery capacity
+const countSlotBookings = async (conn, date, slotId) => {
+  const [[{ booked }]] = await conn.query(
+    "SELECT COUNT(*) AS booked FROM orders WHERE delivery_date=? AND delivery_slot_id=? AND status NOT IN (?)",
+    [date, slotId, RESTOCK_STATUSES]
+  );
+  return Number(booked);
+};
+
+// Locks the slot for the rest of the transaction and checks it can take one more order.
+// Call it before any other plain read in the transaction so the booking count is current.
+// Returns null when it can, or { status, error }.
+const reserveDeliverySlot = async (conn, { delivery_date, delivery_slot_id }) => {
+  const [slots] = await conn.query("SELECT * FROM delivery_slots WHERE id=? FOR UPDATE", [delivery_slot_id]);
+  const slot = slots[0];
+  if (!slot || !slot.active || !slotRunsOn(slot, delivery_date)) {
+    return { status: 400, error: "Delivery slot is not offered on that date" };
+  }
+
+  const [blackouts] = await conn.query("SELECT 1 FROM delivery_blackout_dates WHERE blackout_date=?", [delivery_date]);
+  if (blackouts.length) return { status: 409, error: "We are not delivering on that date" };
+
+  if (!isBookable(slot, delivery_date, DELIVERY_CUTOFF_MINUTES)) {
+    return { status: 409, error: "That delivery slot has already closed" };
+  }
+
+  if (await countSlotBookings(conn, delivery_date, slot.id) >= slot.capacity) {
+    return { status: 409, error: "That delivery slot is full" };
+  }
+  return null;
+};
+
+// Loads a coupon by code with its product/category scope, or null.
+// With `lock`, checkouts using the same code queue up so usage limits hold.
+const loadCoupon = async (conn, code, { lock = false } = {}) => {
+  const [rows] = await conn.query(`SELECT * FROM coupons WHERE code=? ${lock ? "FOR UPDATE" : ""}`, [code]);
+  if (!rows.length) return null;
+
+  const [products] = await conn.query("SELECT product_id FROM coupon_products WHERE coupon_id=?", [rows[0].id]);
+  const [categories] = await conn.query("SELECT category FROM coupon_categories WHERE coupon_id=?", [rows[0].id]);
+  return { ...rows[0], product_ids: products.map(p => p.product_id), categories: categories.map(c => c.category) };
+};
+
+// Redemptions by orders that weren't cancelled or returned
+const couponUsage = async (conn, couponId, userId) => {
+  const [[usage]] = await conn.query(
+    `SELECT COUNT(*) AS total, COALESCE(SUM(o.user_id <=> ?), 0) AS customer
+     FROM coupon_redemptions r JOIN orders o ON o.id = r.order_id
+     WHERE r.coupon_id=? AND o.status NOT IN (?)`,
+    [userId, couponId, RESTOCK_STATUSES]
+  );
+  return { total: Number(usage.total), customer: userId ? Number(usage.customer) : null };
+};
+
+// Totals for priced lines with an optional coupon code.
+// Returns { pricing: { subtotal, discount, total, coupon_code, coupon } } or { error } when the code can't be used.
+const priceOrder = async (conn, pricedLines, code, userId, { lock = false } = {}) => {
+  const subtotal = Math.round(pricedLines.reduce((sum, l) => sum + l.total, 0) * 100) / 100;
+  if (!code) return { pricing: { subtotal, discount: 0, total: subtotal, coupon_code: null, coupon: null } };
+
+  const coupon = await loadCoupon(conn, code, { lock });
+  if (!coupon) return { error: "Unknown discount code" };
+
+  const result = evaluateCoupon(coupon, pricedLines, { usage: await couponUsage(conn, coupon.id, userId) });
+  if (result.error) return { error: result.error };
+
+  return {
+    pricing: {
+      subtotal,
+      discount: result.discount,
+      total: Math.round((subtotal - result.discount) * 100) / 100,
+      coupon_code: coupon.code,
+      coupon
+    }
+  };
+};
+
+// Replays a stored idempotent response. Returns true if the request was answered.
+const replayIdempotentResponse = (res, record, requestHash) => {
+  if (record.request_hash !== requestHash) {
+    res.status(422).json({ error: "Idempotency-Key was already used with a different request" });
+    return true;
+  }
+  if (record.response_status == null) {
+    res.status(409).json({ error: "A request with this Idempotency-Key is still being processed" });
+    return true;
+  }
+  res.set("Idempotent-Replayed", "true");
+  res.status(record.response_status).json(JSON.parse(record.response_body));
+  return true;
+};
+
+const findIdempotencyKey = async (key) => {
+  const [rows] = await db.query(
+    `SELECT request_hash, response_status, response_body FROM idempotency_keys
+     WHERE idem_key=? AND created_at >= NOW() - INTERVAL ? HOUR`,
+    [key, IDEMPOTENCY_TTL_HOURS]
+  );
+  return rows[0] || null;
+};
+
+// Shared by POST /orders and POST /cart/checkout. With cartItems (the cart lines `items` came
+// from), those lines are locked and removed in the same transaction that creates the order.
+const placeOrder = async (req, res, items, { cartItems = null } = {}) => {
+  // Logged-in customers get the order linked to their account; guests still pass user_name
+  const sessionUser = req.session.user;
+  const user_id = sessionUser?.role === "customer" ? sessionUser.id : null;
+  const user_name = req.body.user_name || (user_id ? sessionUser.name : null);
+  if (!user_name) return res.status(400).json({ error: "user_name is required" });
+
+  const payment_mode = normalizePaymentMode(req.body.payment_mode);
+  if (!payment_mode) {
+    return res.status(400).json({ error: `Invalid payment_mode. Expected one of: ${PAYMENT_MODES.join(", ")}` });
+  }
+  if (ONLINE_PAYMENT_MODES.includes(payment_mode) && !ONLINE_PAYMENTS_ENABLED) {
+    return res.status(400).json({ error: "Online payments are not available; choose cash_on_delivery" });
+  }
+
+  const { lines, error } = normalizeOrderItems(items);
+  if (error) return res.status(400).json({ error });
+
+  const delivery = deliveryFromBody(req.body);
+  const coupon_code = normalizeCouponCode(req.body.coupon_code);
+
+  const idempotencyKey = req.get("Idempotency-Key");
+  if (idempotencyKey !== undefined && (!idempotencyKey || idempotencyKey.length > 255)) {
+    return res.status(400).json({ error: "Idempotency-Key must be 1-255 characters" });
+  }
+  const requestHash = crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ user_id, user_name, payment_mode, lines, delivery, coupon_code }))
+    .digest("hex");
+
+  const conn = await db.getConnection();
+  try {
+    if (idempotencyKey) {
+      // Expired keys are forgotten so they can be reused
+      await db.query(
+        "DELETE FROM idempotency_keys WHERE created_at < NOW() - INTERVAL ? HOUR",
+        [IDEMPOTENCY_TTL_HOURS]
+      );
+      const existing = await findIdempotencyKey(idempotencyKey);
+      if (existing) return replayIdempotentResponse(res, existing, requestHash);
+    }
+
+    await conn.beginTransaction();
+
+    if (idempotencyKey) {
+      // Claim the key inside the transaction: a concurrent retry blocks on the unique
+      // index until we commit (then replays) or roll back (then proceeds itself)
+      try {
+        await conn.query(
+          "INSERT INTO idempotency_keys (idem_key, request_hash, created_at) VALUES (?, ?, NOW())",
+          [idempotencyKey, requestHash]
+        );
+      } catch (err) {
+        if (err.code !== "ER_DUP_ENTRY") throw err;
+        await conn.rollback();
+        const existing = await findIdempotencyKey(idempotencyKey);
+        if (existing) return replayIdempotentResponse(res, existing, requestHash);
+        return res.status(409).json({ error: "A request with this Idempotency-Key is still being processed" });
+      }
+    }
+
+    // Locks come before any plain SELECT: the first plain read fixes the transaction's snapshot,
+    // and the slot and coupon usage counts must see orders committed by whoever held the lock
+    // before us. Every checkout locks cart lines, then coupon, then slot, then products.
+    if (cartItems) {
+      // A second checkout of the same cart waits here and then finds the lines gone
+      const [current] = await conn.query(
+        "SELECT id, quantity FROM cart_items WHERE id IN (?) ORDER BY id FOR UPDATE",
+        [cartItems.map(i => i.id)]
+      );
+      const quantities = new Map(current.map(i => [i.id, i.quantity]));
+      if (current.length !== cartItems.length || cartItems.some(i => quantities.get(i.id) !== i.quantity)) {
+        await conn.rollback();
+        return res.status(409).json({ error: "Your cart changed during checkout. Please review it and try again." });
+      }
+    }
+
+    if (coupon_code) await conn.query("SELECT id FROM coupons WHERE code=? FOR UPDATE", [coupon_code]);
+
+    const slotProblem = await reserveDeliverySlot(conn, delivery);
+    if (slotProblem) {
+      await conn.rollback();
+      return res.status(slotProblem.status).json({ error: slotProblem.error });
+    }
+
+    const { missing, shortages, reserved } = await reserveStock(conn, lines);
+    if (missing.length) {
+      await conn.rollback();
+      return res.status(400).json({ error: "Some items could not be found", items: missing });
+    }
+    if (shortages.length) {
+      await conn.rollback();
+      return res.status(409).json({ error: "Not enough stock for some items", items: shortages });
+    }
+
+    const { pricing, error: couponError } = await priceOrder(conn, reserved, coupon_code, user_id);
+    if (couponError) {
+      await conn.rollback();
+      return res.status(409).json({ error: couponError, coupon_code });
+    }
+    const orderTotal = pricing.total;
+
+    const [orderResult] = await conn.query(
+      `INSERT INTO orders
+         (user_id, user_name, subtotal, discount, coupon_code, total, payment_mode, status, recipient_name,
+          recipient_phone, delivery_address, card_message, delivery_date, delivery_slot_id, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?, ?, ?, NOW())`,
+      [
+        user_id, user_name, pricing.subtotal, pricing.discount, pricing.coupon_code, orderTotal, payment_mode,
+        delivery.recipient_name, delivery.recipient_phone, delivery.delivery_address, delivery.card_message,
+        delivery.delivery_date, delivery.delivery_slot_id
+      ]
+    );
+
+    const orderId = orderResult.insertId;
+    if (pricing.coupon) {
+      await conn.query(
+        "INSERT INTO coupon_redemptions (coupon_id, order_id, user_id, discount, created_at) VALUES (?, ?, ?, ?, NOW())",
+        [pricing.coupon.id, orderId, user_id, pricing.discount]
+      );
+    }
+    await conn.query(
+      "INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, changed_at) VALUES (?, NULL, 'pending', ?, NOW())",
+      [orderId, user_id]
+    );
+
+    const orderItemsValues = reserved.map(i => [
+      orderId, i.product_id, i.variant_id, i.product_name, i.variant_name, i.quantity, i.price, i.total
+    ]);
+    await conn.query(
+      "INSERT INTO order_items (order_id, product_id, variant_id, product_name, variant_name, quantity, price, total) VALUES ?",
+      [orderItemsValues]
+    );
+
+    const allocationValues = reserved.flatMap(i => i.allocations.map(a => [orderId, a.batch_id, a.quantity]));
+    if (allocationValues.length) {
+      await conn.query("INSERT INTO order_batch_allocations (order_id, batch_id, quantity) VALUES ?", [allocationValues]);
+    }
+
+    if (cartItems) {
+      const [removed] = await conn.query("DELETE FROM cart_items WHERE id IN (?)", [cartItems.map(i => i.id)]);
+      if (removed.affectedRows !== cartItems.length) throw new Error("Cart lines changed while checking out");
+    }
+
+    const responseBody = {
+      message: "Order placed!",
+      order_id: orderId,
+      subtotal: pricing.subtotal,
+      discount: pricing.discount,
+      total: orderTotal
+    };
+    if (idempotencyKey) {
+      await conn.query(
+        "UPDATE idempotency_keys SET order_id=?, response_status=200, response_body=? WHERE idem_key=?",
+        [orderId, JSON.stringify(responseBody), idempotencyKey]
+      );
+    }
+
+    await conn.commit();
+
+    // The intent is created after commit so a slow provider never holds stock locks
+    if (ONLINE_PAYMENT_MODES.includes(payment_mode)) {
+      try {
+        responseBody.payment = publicPayment(await createOrderPayment({ id: orderId, total: orderTotal }));
+        if (idempotencyKey) {
+          await db.query("UPDATE idempotency_keys SET response_body=? WHERE idem_key=?", [
+            JSON.stringify(responseBody), idempotencyKey
+          ]);
+        }
+      } catch (err) {
+        // The order stands; the customer can retry through POST /orders/:id/payment
+        console.error("Create payment intent error:", err);
+        responseBody.payment = null;
+      }
+    }
+
+    // The order is committed from here on: a failed alert is logged, never reported as a failed
+    // checkout, or the customer would retry and order twice
+    try {
+      await orderCreatedNotification({ id: orderId, user_id, user_name, total: orderTotal });
+
+      // Notify after commit so alerts reflect stock that actually left the shelf
+      for (const item of reserved) {
+        const previousStock = item.remaining_stock + item.quantity;
+        if (item.variant_id) {
+          await variantLowStockNotification({ id: item.variant_id }, previousStock);
+        } else {
+          await lowStockNotification({ id: item.product_id }, previousStock);
+        }
+      }
+    } catch (err) {
+      console.error("Order notification error:", err);
+    }
+
+    res.json(responseBody);
+  } catch (err) {
+    await conn.rollback();
+    console.error("Place order error:", err);
+    res.status(500).json({ error: "Failed to place order" });
+  } finally {
+    conn.release();
+  }
+};
+
+// Shapes only; stock, slot and coupon rules are checked inside placeOrder
+const checkoutBody = {
+  user_name: field.string({ max: 255 }),
+  payment_mode: field.string({ required: true, max: 50 }),
+  coupon_code: field.string({ max: 50 }),
+  recipient_name: field.string({ required: true, min: 1, max: 255 }),
+  recipient_phone: field.string({ required: true, min: 1, max: 50 }),
+  delivery_address: field.string({ required: true, min: 1, max: 1000 }),
+  card_message: field.string({ max: 500 }),
+  delivery_date: field.date({ required: true }),
+  delivery_slot_id: field.id({ required: true })
+};
+
+app.post("/orders", validate({ body: { ...checkoutBody, items: field.array({ required: true, min: 1 }) } }),
+  (req, res) => placeOrder(req, res, req.body.items));
+
+app.put("/orders/:id/status", requirePermission("orders:update_status"), validate({
+  body: { status: field.string({ required: true, max: 32 }), note: field.string({ max: 255 }) }
+}), async (req, res) => {
+  const { id } = req.params;
+  const { status, note } = req.body;
+
+  const nextStatus = normalizeOrderStatus(status);
+  if (!nextStatus) {
+    return res.status(400).json({ error: `Invalid status. Expected one of: ${ORDER_STATUSES.join(", ")}` });
+  }
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [orders] = await conn.query(
+      "SELECT id, user_id, user_name, status, payment_mode FROM orders WHERE id=? FOR UPDATE",
+      [id]
+    );
+    if (!orders.length) {
+      await conn.rollback();
+      return res.status(404).json({ error: "Order not found" });
+    }
+
+    const currentStatus = orders[0].status;
+    if (!canTransition(currentStatus, nextStatus)) {
+      await conn.rollback();
+      return res.status(409).json({
+        error: `Cannot change order status from '${currentStatus}' to '${nextStatus}'`,
+        allowed: ORDER_TRANSITIONS[currentStatus] || []
+      });
+    }
+
+    const before = await audit.snapshot("order", id, conn);
+    await conn.query("UPDATE orders SET status=? WHERE id=?", [nextStatus, id]);
+
+    // Cancelled/returned orders give their stock back and their money
+    let released = { refunds: [], cancellations: [] };
+    let restocked = [];
+    if (RESTOCK_STATUSES.includes(nextStatus)) {
+      restocked = await restockOrderItems(conn, id);
+      released = await releaseOrderPayments(conn, id, `Order ${nextStatus}`);
+    }
+
+    // Cash is collected by the driver
+    if (nextStatus === "delivered" && orders[0].payment_mode === "cash_on_delivery") {
+      await recordCashPayment(conn, id);
+    }
+
+    await conn.query(
+      `INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, note, changed_at)
+       VALUES (?, ?, ?, ?, ?, NOW())`,
+      [id, currentStatus, nextStatus, req.session.user.id, note || null]
+    );
+    await audit.record(req, {
+      action: "update_status",
+      entity: "order",
+      entityId: id,
+      before,
+      after: await audit.snapshot("order", id, conn)
+    }, conn);
+
+    await conn.commit();
+
+    await settleReleasedPayments(released);
+    await orderStatusNotification({ ...orders[0], status: nextStatus }, currentStatus);
+    for (const item of restocked) {
+      if (item.variant_id) await variantLowStockNotification({ id: item.variant_id });
+      else if (item.product_id) await lowStockNotification({ id: item.product_id });
+    }
+
+    res.json({ message: "Status updated!", status: nextStatus });
+  } catch (err) {
+    await conn.rollback();
+    console.error("Update order status error:", err);
+    res.status(500).json({ error: "Failed to update order status" });
+  } finally {
+    conn.release();
+  }
+});
+
+app.get("/orders/:id/history", requirePermission("orders:read"), async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      `SELECT h.id, h.from_status, h.to_status, h.note, h.changed_at, h.changed_by, u.name AS changed_by_name
+       FROM order_status_history h
+       LEFT JOIN users u ON u.id = h.changed_by
+       WHERE h.order_id = ?
+       ORDER BY h.changed_at, h.id`,
+      [req.params.id]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error("Fetch order history error:", err);
+    res.status(500).json({ error: "Failed to load order history" });
+  }
+});
+
+// ---------------- REPORTS ----------------
+// All reports take ?from=YYYY-MM-DD&to=YYYY-MM-DD&include_cancelled=true
+
+const reportQuery = { from: field.date(), to: field.date(), include_cancelled: field.boolean() };
+
+// Wraps a report handler with query validation and error handling. `query` adds the
+// report's own parameters to the shared filters.
+const reportRoute = (name, handler, query = {}) => [
+  validate({ query: { ...reportQuery, ...query } }),
+  async (req, res) => {
+    try {
+      res.json(await handler(reportFilters(req.validQuery), req.validQuery));
+    } catch (err) {
+      console.error(`Report ${name} error:`, err);
+      res.status(500).json({ error: "Failed to load report" });
+    }
+  }
+];
+
+app.get("/sales-by-category", requirePermission("reports:read"),
+  reportRoute("sales-by-category", filters => reports.salesByCategory(filters)));
+
+app.get("/reports/revenue", requirePermission("reports:read"),
+  reportRoute("revenue", (filters, query) => reports.revenueOverTime(filters, query.interval || "day"), {
+    interval: field.enum({ values: REPORT_INTERVALS })
+  }));
+
+app.get("/reports/top-products", requirePermission("reports:read"),
+  reportRoute("top-products", (filters, query) => reports.topProducts(filters, {
+    by: query.by || "revenue",
+    limit: query.limit || 10
+  }), {
+    by: field.enum({ values: ["units", "revenue"] }),
+    limit: field.integer({ min: 1, max: 100 })
+  }));
+
+app.get("/reports/average-order-value", requirePermission("reports:read"),
+  reportRoute("average-order-value", filters => reports.averageOrderValue(filters)));
+
+app.get("/reports/sales-by-payment-mode", requirePermission("reports:read"),
+  reportRoute("sales-by-payment-mode", filters => reports.salesByPaymentMode(filters)));
+
+app.get("/reports/cancellations", requirePermission("reports:read"),
+  reportRoute("cancellations", filters => reports.cancellationRates(filters)));
+
+// ---------------- CART ----------------
+
+// Previews what POST /orders would charge. Nothing is reserved, so prices and stock can
+// still change before checkout; lines that can't be filled are reported and left out of the totals.
+app.post("/cart/quote", validate({
+  body: { items: field.array({ required: true, min: 1 }), coupon_code: field.string({ max: 50 }) }
+}), async (req, res) => {
+  const { lines, error } = normalizeOrderItems(req.body.items);
+  if (error) return res.status(400).json({ error });
+
+  const code = req.body.coupon_code ? normalizeCouponCode(req.body.coupon_code) : null;
+  if (req.body.coupon_code && !code) return res.status(400).json({ error: "coupon_code must be a string" });
+
+  const sessionUser = req.session.user;
+  const userId = sessionUser?.role === "customer" ? sessionUser.id : null;
+
+  try {
+    const { missing, shortages, resolved } = await resolveOrderLines(db, lines);
+    const items = resolved.map(pricedLine);
+
+    let { pricing, error: couponError } = await priceOrder(db, items, code, userId);
+    if (couponError) ({ pricing } = await priceOrder(db, items, null, userId));
+
+    res.json({
+      items,
+      missing,
+      shortages,
+      subtotal: pricing.subtotal,
+      discount: pricing.discount,
+      total: pricing.total,
+      coupon_code: pricing.coupon_code,
+      coupon_error: couponError || null
+    });
+  } catch (err) {
+    console.error("Cart quote error:", err);
+    res.status(500).json({ error: "Failed to price cart" });
+  }
+});
+
+const CART_TTL_DAYS = process.env.CART_TTL_DAYS ? parseInt(process.env.CART_TTL_DAYS) : 30;
+
+// Customers keep one cart on their account; guests get one per session
+const findCartId = async (req) => {
+  const user = req.session.user;
+  if (user?.role === "customer") {
+    const [rows] = await db.query("SELECT id FROM carts WHERE user_id=?", [user.id]);
+    return rows[0]?.id ?? null;
+  }
+  if (!req.session.cart_id) return null;
+
+  const [rows] = await db.query("SELECT id FROM carts WHERE id=? AND user_id IS NULL", [req.session.cart_id]);
+  if (!rows.length) delete req.session.cart_id;
+  return rows[0]?.id ?? null;
+};
+
+const ensureCartId = async (req) => {
+  const existing = await findCartId(req);
+  if (existing) return existing;
+
+  const user = req.session.user;
+  if (user?.role === "customer") {
+    // The unique user_id makes a concurrent create land on the same row
+    await db.query("INSERT IGNORE INTO carts (user_id, created_at, updated_at) VALUES (?, NOW(), NOW())", [user.id]);
+    return findCartId(req);
+  }
+
+  const [result] = await db.query("INSERT INTO carts (user_id, created_at, updated_at) VALUES (NULL, NOW(), NOW())");
+  req.session.cart_id = result.insertId;
+  return result.insertId;
+};
+
+const touchCart = (conn, cartId) => conn.query("UPDATE carts SET updated_at=NOW() WHERE id=?", [cartId]);
+
+// Adds quantity to the matching line, or starts a new one
+const addCartLine = async (conn, cartId, { product_id, variant_id, quantity }) => {
+  const [result] = await conn.query(
+    "UPDATE cart_items SET quantity = quantity + ?, updated_at=NOW() WHERE cart_id=? AND product_id=? AND variant_id <=> ?",
+    [quantity, cartId, product_id, variant_id]
+  );
+  if (!result.affectedRows) {
+    await conn.query(
+      "INSERT INTO cart_items (cart_id, product_id, variant_id, quantity, created_at, updated_at) VALUES (?, ?, ?, ?, NOW(), NOW())",
+      [cartId, product_id, variant_id, quantity]
+    );
+  }
+};
+
+// The cart with current prices; lines that can't be checked out as they stand carry a warning
+const loadCartView = async (cartId) => {
+  if (!cartId) return { id: null, items: [], item_count: 0, subtotal: 0, checkout_ready: false };
+
+  const [rows] = await db.query(
+    `SELECT ci.id, ci.product_id, ci.variant_id, ci.quantity,
+       p.name AS product_name, p.image_url, p.price AS product_price, p.stock AS product_stock, p.archived_at,
+       v.name AS variant_name, v.price AS variant_price, v.stock AS variant_stock,
+       (SELECT COUNT(*) FROM product_variants pv WHERE pv.product_id = p.id) AS variant_count
+     FROM cart_items ci
+     JOIN products p ON p.id = ci.product_id
+     LEFT JOIN product_variants v ON v.id = ci.variant_id
+     WHERE ci.cart_id=?
+     ORDER BY ci.id`,
+    [cartId]
+  );
+
+  const items = rows.map(row => {
+    const price = row.variant_id ? row.variant_price : row.product_price;
+    const available = row.variant_id ? row.variant_stock : row.product_stock;
+
+    let warning = null;
+    if (row.archived_at) warning = "No longer available";
+    else if (!row.variant_id && Number(row.variant_count) > 0) warning = "Choose an option for this product";
+    else if (available <= 0) warning = "Out of stock";
+    else if (row.quantity > available) warning = `Only ${available} left in stock`;
+
+    return {
+      id: row.id,
+      product_id: row.product_id,
+      product_name: row.product_name,
+      variant_id: row.variant_id,
+      variant_name: row.variant_name,
+      image_url: row.image_url,
+      quantity: row.quantity,
+      price,
+      total: Number(price) * row.quantity,
+      available,
+      warning
+    };
+  });
+
+  return {
+    id: cartId,
+    items,
+    item_count: items.reduce((sum, i) => sum + i.quantity, 0),
+    subtotal: Math.round(items.reduce((sum, i) => sum + i.total, 0) * 100) / 100,
+    checkout_ready: items.length > 0 && items.every(i => !i.warning)
+  };
+};
+
+// Moves a guest cart's lines into the customer's account cart after login
+const mergeGuestCart = async (req) => {
+  const guestCartId = req.session.cart_id;
+  delete req.session.cart_id;
+  if (!guestCartId) return;
+
+  const accountCartId = await ensureCartId(req);
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [guest] = await conn.query("SELECT id FROM carts WHERE id=? AND user_id IS NULL FOR UPDATE", [guestCartId]);
+    if (guest.length) {
+      const [lines] = await conn.query("SELECT product_id, variant_id, quantity FROM cart_items WHERE cart_id=?", [guestCartId]);
+      for (const line of lines) await addCartLine(conn, accountCartId, line);
+      await conn.query("DELETE FROM carts WHERE id=?", [guestCartId]);
+      await touchCart(conn, accountCartId);
+    }
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+};
+
+app.get("/cart", async (req, res) => {
+  try {
+    res.json(await loadCartView(await findCartId(req)));
+  } catch (err) {
+    console.error("Fetch cart error:", err);
+    res.status(500).json({ error: "Failed to load cart" });
+  }
+});
+
+app.post("/cart", async (req, res) => {
+  try {
+    res.status(201).json(await loadCartView(await ensureCartId(req)));
+  } catch (err) {
+    console.error("Create cart error:", err);
+    res.status(500).json({ error: "Failed to create cart" });
+  }
+});
+
+app.post("/cart/items", validate({
+  body: {
+    product_id: field.id({ required: true }),
+    variant_id: field.id({ nullable: true }),
+    quantity: field.integer({ required: true, min: 1 })
+  }
+}), async (req, res) => {
+  const { lines, error } = normalizeOrderItems([req.body]);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const { missing } = await resolveOrderLines(db, lines);
+    if (missing.length) return res.status(400).json({ error: `Cannot add item: ${missing[0].reason}` });
+
+    const cartId = await ensureCartId(req);
+    await addCartLine(db, cartId, lines[0]);
+    await touchCart(db, cartId);
+    res.status(201).json(await loadCartView(cartId));
+  } catch (err) {
+    console.error("Add cart item error:", err);
+    res.status(500).json({ error: "Failed to add item to cart" });
+  }
+});
+
+// Setting quantity to 0 removes the line
+app.put("/cart/items/:itemId", validate({ body: { quantity: field.integer({ required: true, min: 0 }) } }), async (req, res) => {
+  const { quantity } = req.body;
+
+  try {
+    const cartId = await findCartId(req);
+    const [result] = quantity
+      ? await db.query("UPDATE cart_items SET quantity=?, updated_at=NOW() WHERE id=? AND cart_id=?", [quantity, req.params.itemId, cartId])
+      : await db.query("DELETE FROM cart_items WHERE id=? AND cart_id=?", [req.params.itemId, cartId]);
+    if (!result.affectedRows) return res.status(404).json({ error: "Cart item not found" });
+
+    await touchCart(db, cartId);
+    res.json(await loadCartView(cartId));
+  } catch (err) {
+    console.error("Update cart item error:", err);
+    res.status(500).json({ error: "Failed to update cart item" });
+  }
+});
+
+app.delete("/cart/items/:itemId", async (req, res) => {
+  try {
+    const cartId = await findCartId(req);
+    const [result] = await db.query("DELETE FROM cart_items WHERE id=? AND cart_id=?", [req.params.itemId, cartId]);
+    if (!result.affectedRows) return res.status(404).json({ error: "Cart item not found" });
+
+    await touchCart(db, cartId);
+    res.json(await loadCartView(cartId));
+  } catch (err) {
+    console.error("Remove cart item error:", err);
+    res.status(500).json({ error: "Failed to remove cart item" });
+  }
+});
+
+// Places an order for the cart's lines; the body carries everything else POST /orders takes
+app.post("/cart/checkout", validate({ body: checkoutBody }), async (req, res) => {
+  let cartItems;
+  try {
+    const cartId = await findCartId(req);
+    [cartItems] = cartId
+      ? await db.query("SELECT id, product_id, variant_id, quantity FROM cart_items WHERE cart_id=? ORDER BY id", [cartId])
+      : [[]];
+  } catch (err) {
+    console.error("Checkout cart error:", err);
+    return res.status(500).json({ error: "Failed to load cart" });
+  }
+  if (!cartItems.length) return res.status(400).json({ error: "Cart is empty" });
+
+  const items = cartItems.map(({ product_id, variant_id, quantity }) => ({ product_id, variant_id, quantity }));
+  await placeOrder(req, res, items, { cartItems });
+});
+
+// ---------------- COUPONS ----------------
+
+const formatCoupon = (coupon) => ({
+  ...coupon,
+  amount: Number(coupon.amount),
+  min_subtotal: coupon.min_subtotal === null ? null : Number(coupon.min_subtotal),
+  active: Boolean(coupon.active)
+});
+
+const COUPON_COLUMNS = [
+  "code", "description", "discount_type", "amount", "min_subtotal",
+  "usage_limit", "per_customer_limit", "starts_at", "ends_at", "active"
+];
+
+// `required` is false for updates, which only send the fields they change
+const couponBody = (required) => ({
+  code: field.string({
+    required, min: 1, max: 50, pattern: COUPON_CODE_PATTERN, patternMessage: "must be letters, digits, dashes or underscores"
+  }),
+  description: field.string({ nullable: true, max: 255 }),
+  discount_type: field.enum({ required, values: DISCOUNT_TYPES }),
+  amount: field.number({ required, min: 0.01 }),
+  min_subtotal: field.number({ nullable: true, min: 0 }),
+  usage_limit: field.integer({ nullable: true, min: 1 }),
+  per_customer_limit: field.integer({ nullable: true, min: 1 }),
+  starts_at: field.datetime({ nullable: true }),
+  ends_at: field.datetime({ nullable: true }),
+  active: field.boolean(),
+  product_ids: field.array({ of: field.id() }),
+  categories: field.array({ of: field.string({ min: 1, max: 255 }) })
+});
+
+// Replaces the product/category scope of a coupon with whatever the body sent
+const saveCouponScope = async (conn, couponId, coupon) => {
+  if (coupon.product_ids) {
+    await conn.query("DELETE FROM coupon_products WHERE coupon_id=?", [couponId]);
+    if (coupon.product_ids.length) {
+      await conn.query("INSERT INTO coupon_products (coupon_id, product_id) VALUES ?", [
+        coupon.product_ids.map(id => [couponId, id])
+      ]);
+    }
+  }
+  if (coupon.categories) {
+    await conn.query("DELETE FROM coupon_categories WHERE coupon_id=?", [couponId]);
+    if (coupon.categories.length) {
+      await conn.query("INSERT INTO coupon_categories (coupon_id, category) VALUES ?", [
+        coupon.categories.map(category => [couponId, category])
+      ]);
+    }
+  }
+};
+
+// Turns duplicate-code and unknown-product errors into 409/400 responses; returns false for anything else
+const couponWriteError = (res, err) => {
+  if (err.code === "ER_DUP_ENTRY") {
+    res.status(409).json({ error: "A coupon with this code already exists" });
+    return true;
+  }
+  if (err.code === "ER_NO_REFERENCED_ROW_2") {
+    res.status(400).json({ error: "product_ids contains an unknown product" });
+    return true;
+  }
+  return false;
+};
+
+// GET /coupons?active=&search=&page=&limit=
+app.get("/coupons", requirePermission("coupons:manage"), validate({
+  query: { ...paginationQuery, active: field.boolean(), search: field.string({ max: 255 }) }
+}), async (req, res) => {
+  const conditions = [];
+  const params = [];
+  const { active, search } = req.validQuery;
+  if (active !== undefined) {
+    conditions.push("c.active = ?");
+    params.push(active ? 1 : 0);
+  }
+  if (search) {
+    conditions.push("(c.code LIKE ? OR c.description LIKE ?)");
+    params.push(`%${search}%`, `%${search}%`);
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+  const pagination = parsePagination(req.query);
+
+  try {
+    const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total FROM coupons c ${where}`, params);
+    const [rows] = await db.query(
+      `SELECT c.*,
+         (SELECT COUNT(*) FROM coupon_redemptions r JOIN orders o ON o.id = r.order_id
+          WHERE r.coupon_id = c.id AND o.status NOT IN (?)) AS times_used
+       FROM coupons c ${where}
+       ORDER BY c.created_at DESC, c.id DESC
+       LIMIT ? OFFSET ?`,
+      [RESTOCK_STATUSES, ...params, pagination.limit, pagination.offset]
+    );
+    res.json({ data: rows.map(formatCoupon), pagination: paginationMeta(pagination, total) });
+  } catch (err) {
+    console.error("Fetch coupons error:", err);
+    res.status(500).json({ error: "Failed to load coupons" });
+  }
+});
+
+app.get("/coupons/:id", requirePermission("coupons:manage"), async (req, res) => {
+  try {
+    const [rows] = await db.query("SELECT code FROM coupons WHERE id=?", [req.params.id]);
+    if (!rows.length) return res.status(404).json({ error: "Coupon not found" });
+
+    const coupon = await loadCoupon(db, rows[0].code);
+    const usage = await couponUsage(db, coupon.id, null);
+    res.json({ ...formatCoupon(coupon), times_used: usage.total });
+  } catch (err) {
+    console.error("Fetch coupon error:", err);
+    res.status(500).json({ error: "Failed to load coupon" });
+  }
+});
+
+app.post("/coupons", requirePermission("coupons:manage"), validate({ body: couponBody(true) }), async (req, res) => {
+  const coupon = couponFromBody(req.body);
+  const ruleError = couponRuleError(coupon);
+  if (ruleError) return res.status(400).json({ error: ruleError });
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [result] = await conn.query(
+      `INSERT INTO coupons (${COUPON_COLUMNS.join(", ")}, created_at, updated_at)
+       VALUES (${COUPON_COLUMNS.map(() => "?").join(", ")}, NOW(), NOW())`,
+      COUPON_COLUMNS.map(column => coupon[column] ?? (column === "active" ? 1 : null))
+    );
+    await saveCouponScope(conn, result.insertId, coupon);
+
+    await conn.commit();
+    res.status(201).json({ message: "Coupon created", coupon: formatCoupon(await loadCoupon(db, coupon.code)) });
+  } catch (err) {
+    await conn.rollback();
+    if (couponWriteError(res, err)) return;
+    console.error("Create coupon error:", err);
+    res.status(500).json({ error: "Failed to create coupon" });
+  } finally {
+    conn.release();
+  }
+});
+
+app.put("/coupons/:id", requirePermission("coupons:manage"), validate({
+  params: { id: field.id({ required: true }) },
+  body: couponBody(false)
+}), async (req, res) => {
+  const coupon = couponFromBody(req.body);
+  if (!Object.keys(coupon).length) return res.status(400).json({ error: "Nothing to update" });
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [existing] = await conn.query("SELECT * FROM coupons WHERE id=? FOR UPDATE", [req.params.id]);
+    if (!existing.length) {
+      await conn.rollback();
+      return res.status(404).json({ error: "Coupon not found" });
+    }
+
+    // Re-check the rules that span fields against the stored values
+    const merged = { ...existing[0], ...coupon };
+    const ruleError = couponRuleError(merged);
+    if (ruleError) {
+      await conn.rollback();
+      return res.status(400).json({ error: ruleError });
+    }
+
+    const columns = COUPON_COLUMNS.filter(column => coupon[column] !== undefined);
+    if (columns.length) {
+      await conn.query(
+        `UPDATE coupons SET ${columns.map(c => `${c}=?`).join(", ")}, updated_at=NOW() WHERE id=?`,
+        [...columns.map(c => coupon[c]), req.params.id]
+      );
+    }
+    await saveCouponScope(conn, existing[0].id, coupon);
+
+    await conn.commit();
+    res.json({ message: "Coupon updated", coupon: formatCoupon(await loadCoupon(db, merged.code)) });
+  } catch (err) {
+    await conn.rollback();
+    if (couponWriteError(res, err)) return;
+    console.error("Update coupon error:", err);
+    res.status(500).json({ error: "Failed to update coupon" });
+  } finally {
+    conn.release();
+  }
+});
+
+// Coupons that orders have used are deactivated instead of deleted
+app.delete("/coupons/:id", requirePermission("coupons:manage"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const [[{ used }]] = await db.query("SELECT COUNT(*) AS used FROM coupon_redemptions WHERE coupon_id=?", [id]);
+
+    const [result] = Number(used)
+      ? await db.query("UPDATE coupons SET active=0, updated_at=NOW() WHERE id=?", [id])
+      : await db.query("DELETE FROM coupons WHERE id=?", [id]);
+    if (!result.affectedRows) return res.status(404).json({ error: "Coupon not found" });
+
+    res.json({ message: Number(used) ? "Coupon deactivated" : "Coupon deleted" });
+  } catch (err) {
+    console.error("Delete coupon error:", err);
+    res.status(500).json({ error: "Failed to delete coupon" });
+  }
+});
+
+// ---------------- PAYMENTS ----------------
+
+const publicPayment = (payment) => ({
+  id: payment.id,
+  provider: payment.provider,
+  status: payment.status,
+  amount: Number(payment.amount),
+  currency: payment.currency,
+  client_secret: payment.client_secret
+});
+
+// Opens a payment intent with the provider for an order and records it
+const createOrderPayment = async (order) => {
+  const provider = getPaymentProvider();
+  const intent = await provider.createIntent({
+    amount: Number(order.total),
+    currency: PAYMENT_CURRENCY,
+    metadata: { order_id: order.id }
+  });
+
+  const [result] = await db.query(
+    `INSERT INTO payments (order_id, provider, provider_ref, client_secret, amount, currency, status, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+    [order.id, provider.name, intent.id, intent.client_secret, order.total, PAYMENT_CURRENCY, intent.status]
+  );
+  await db.query("UPDATE orders SET payment_status=? WHERE id=?", [ORDER_PAYMENT_STATUS[intent.status], order.id]);
+
+  return {
+    id: result.insertId,
+    provider: provider.name,
+    status: intent.status,
+    amount: order.total,
+    currency: PAYMENT_CURRENCY,
+    client_secret: intent.client_secret
+  };
+};
+
+// Moves a locked payments row to `status` and mirrors it on the order.
+// Returns false when the move isn't allowed (e.g. a late "authorized" after "succeeded").
+const setPaymentStatus = async (conn, payment, status) => {
+  if (!canTransitionPayment(payment.status, status)) return false;
+
+  await conn.query("UPDATE payments SET status=?, updated_at=NOW() WHERE id=?", [status, payment.id]);
+  await conn.query(
+    "UPDATE orders SET payment_status=? WHERE id=? AND payment_status NOT IN ('refund_pending', 'refunded')",
+    [ORDER_PAYMENT_STATUS[status], payment.order_id]
+  );
+  payment.status = status;
+  return true;
+};
+
+// Records the cash a driver collected for a delivered order as a settled payment
+const recordCashPayment = async (conn, orderId) => {
+  await conn.query(
+    `INSERT IGNORE INTO payments (order_id, provider, provider_ref, amount, currency, status, created_at, updated_at)
+     SELECT id, ?, CONCAT('cod_', id), total, ?, 'succeeded', NOW(), NOW() FROM orders WHERE id=?`,
+    [CASH_PROVIDER, PAYMENT_CURRENCY, orderId]
+  );
+  await conn.query("UPDATE orders SET payment_status='paid' WHERE id=?", [orderId]);
+};
+
+// Records a pending refund for whatever hasn't been refunded yet. Returns the refund or null.
+const queueRefund = async (conn, payment, reason) => {
+  const [[{ refunded }]] = await conn.query(
+    "SELECT COALESCE(SUM(amount), 0) AS refunded FROM refunds WHERE payment_id=? AND status <> 'failed'",
+    [payment.id]
+  );
+  const amount = Number(payment.amount) - Number(refunded);
+  if (amount <= 0) return null;
+
+  const [result] = await conn.query(
+    `INSERT INTO refunds (payment_id, order_id, amount, status, reason, created_at, updated_at)
+     VALUES (?, ?, ?, 'pending', ?, NOW(), NOW())`,
+    [payment.id, payment.order_id, amount, reason]
+  );
+  await conn.query("UPDATE orders SET payment_status='refund_pending' WHERE id=?", [payment.order_id]);
+
+  return { id: result.insertId, order_id: payment.order_id, amount, provider: payment.provider, payment_ref: payment.provider_ref };
+};
+
+// Called inside the cancel/return transaction: refunds captured money and voids open intents.
+// The provider calls happen after commit in settleReleasedPayments.
+const releaseOrderPayments = async (conn, orderId, reason) => {
+  const [payments] = await conn.query(
+    "SELECT * FROM payments WHERE order_id=? AND status NOT IN ('cancelled') ORDER BY id FOR UPDATE",
+    [orderId]
+  );
+
+  const released = { refunds: [], cancellations: [] };
+  for (const payment of payments) {
+    if (payment.status === "succeeded") {
+      const refund = await queueRefund(conn, payment, reason);
+      if (refund) released.refunds.push(refund);
+    } else if (await setPaymentStatus(conn, payment, "cancelled")) {
+      released.cancellations.push(payment);
+    }
+  }
+  return released;
+};
+
+// Sums up the refunds of an order once none are outstanding
+const refreshRefundStatus = async (conn, orderId) => {
+  const [[counts]] = await conn.query(
+    `SELECT SUM(status = 'pending') AS pending, SUM(status = 'failed') AS failed, SUM(status = 'succeeded') AS succeeded
+     FROM refunds WHERE order_id=?`,
+    [orderId]
+  );
+  if (!Number(counts.pending) && !Number(counts.failed) && Number(counts.succeeded)) {
+    await conn.query("UPDATE orders SET payment_status='refunded' WHERE id=?", [orderId]);
+  }
+};
+
+// Sends a pending refund to the provider. Failures are logged and left for POST /refunds/:id/retry.
+// Cash refunds stay pending until staff confirm them.
+const issueRefund = async (refund) => {
+  if (refund.provider === CASH_PROVIDER) return;
+  try {
+    const result = await getPaymentProvider(refund.provider).refund(refund.payment_ref, refund.amount);
+    await db.query(
+      "UPDATE refunds SET provider_ref=?, status=?, updated_at=NOW() WHERE id=? AND status='pending'",
+      [result.id, result.status === "succeeded" ? "succeeded" : "pending", refund.id]
+    );
+    await refreshRefundStatus(db, refund.order_id);
+  } catch (err) {
+    console.error(`Refund #${refund.id} error:`, err);
+    await db.query("UPDATE refunds SET status='failed', updated_at=NOW() WHERE id=?", [refund.id]);
+  }
+};
+
+const settleReleasedPayments = async ({ refunds, cancellations }) => {
+  for (const payment of cancellations) {
+    try {
+      await getPaymentProvider(payment.provider).cancel(payment.provider_ref);
+    } catch (err) {
+      // An uncaptured authorization lapses on its own; nothing else to undo
+      console.error(`Cancel payment #${payment.id} error:`, err);
+    }
+  }
+  for (const refund of refunds) await issueRefund(refund);
+};
+
+const WEBHOOK_PAYMENT_STATUSES = {
+  "payment.authorized": "authorized",
+  "payment.succeeded": "succeeded",
+  "payment.failed": "failed",
+  "payment.cancelled": "cancelled"
+};
+
+const WEBHOOK_REFUND_STATUSES = {
+  "refund.succeeded": "succeeded",
+  "refund.failed": "failed"
+};
+
+// Applies a verified provider event once. Returns a short summary for the webhook response.
+const processPaymentEvent = async (provider, event) => {
+  const data = event.data || {};
+  const released = { refunds: [], cancellations: [] };
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [seen] = await conn.query(
+      "INSERT IGNORE INTO payment_webhook_events (provider, event_id, type, received_at) VALUES (?, ?, ?, NOW())",
+      [provider.name, event.id, event.type]
+    );
+    if (!seen.affectedRows) {
+      await conn.commit();
+      return { duplicate: true };
+    }
+
+    let applied = false;
+    if (WEBHOOK_PAYMENT_STATUSES[event.type]) {
+      const [refs] = await conn.query(
+        "SELECT order_id FROM payments WHERE provider=? AND provider_ref=?",
+        [provider.name, data.intent_id]
+      );
+      if (refs.length) {
+        // Same lock order as PUT /orders/:id/status: order first, then its payments
+        const [[order]] = await conn.query("SELECT id, status FROM orders WHERE id=? FOR UPDATE", [refs[0].order_id]);
+        const [[payment]] = await conn.query(
+          "SELECT * FROM payments WHERE provider=? AND provider_ref=? FOR UPDATE",
+          [provider.name, data.intent_id]
+        );
+        applied = await setPaymentStatus(conn, payment, WEBHOOK_PAYMENT_STATUSES[event.type]);
+
+        // Money that arrives for an order that was already cancelled goes straight back
+        if (applied && RESTOCK_STATUSES.includes(order.status)) {
+          if (payment.status === "succeeded") {
+            const refund = await queueRefund(conn, payment, `Paid after order ${order.status}`);
+            if (refund) released.refunds.push(refund);
+          } else if (payment.status === "authorized" && await setPaymentStatus(conn, payment, "cancelled")) {
+            released.cancellations.push(payment);
+          }
+        }
+      }
+    } else if (WEBHOOK_REFUND_STATUSES[event.type]) {
+      const [refunds] = await conn.query(
+        "SELECT id, order_id FROM refunds WHERE provider_ref=? FOR UPDATE",
+        [data.refund_id]
+      );
+      if (refunds.length) {
+        await conn.query("UPDATE refunds SET status=?, updated_at=NOW() WHERE id=?", [
+          WEBHOOK_REFUND_STATUSES[event.type], refunds[0].id
+        ]);
+        await refreshRefundStatus(conn, refunds[0].order_id);
+        applied = true;
+      }
+    }
+
+    await conn.commit();
+    await settleReleasedPayments(released);
+    return { applied };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+};
+
+// Fail at startup on a misconfigured provider (unknown name, missing webhook secret)
+checkPaymentConfig();
+
+app.post("/payments/webhook", async (req, res) => {
+  if (!ONLINE_PAYMENTS_ENABLED) return res.status(503).json({ error: "Online payments are not configured" });
+
+  const provider = getPaymentProvider();
+  const event = provider.verifyWebhook(req.rawBody, req.headers);
+  if (!event) return res.status(400).json({ error: "Invalid webhook signature" });
+  if (!event.id || !event.type) return res.status(400).json({ error: "Malformed webhook event" });
+
+  try {
+    const result = await processPaymentEvent(provider, event);
+    res.json({ received: true, ...result });
+  } catch (err) {
+    // A non-2xx makes the provider retry later
+    console.error("Payment webhook error:", err);
+    res.status(500).json({ error: "Failed to process webhook" });
+  }
+});
+
+// Simulates the customer completing (or failing) a mock payment by sending its webhook.
+// Only registered when PAYMENT_SIMULATOR=true.
+if (PAYMENT_SIMULATOR_ENABLED && ONLINE_PAYMENTS_ENABLED && getPaymentProvider().name === "mock") {
+  app.post("/payments/mock/:id/:outcome", requirePermission("payments:manage"), validate({
+    params: { outcome: field.enum({ required: true, values: Object.values(WEBHOOK_PAYMENT_STATUSES) }) }
+  }), async (req, res) => {
+    const type = `payment.${req.params.outcome}`;
+
+    try {
+      const [rows] = await db.query("SELECT provider_ref FROM payments WHERE id=? AND provider='mock'", [req.params.id]);
+      if (!rows.length) return res.status(404).json({ error: "Payment not found" });
+
+      const provider = getPaymentProvider("mock");
+      const { payload, headers } = provider.buildWebhook(type, { intent_id: rows[0].provider_ref });
+      const result = await processPaymentEvent(provider, provider.verifyWebhook(Buffer.from(payload), headers));
+      res.json({ received: true, ...result });
+    } catch (err) {
+      console.error("Mock payment error:", err);
+      res.status(500).json({ error: "Failed to simulate payment" });
+    }
+  });
+}
+
+// Loads an order the current user may see, or null
+const findVisibleOrder = async (user, orderId) => {
+  const [rows] = await db.query(
+    "SELECT id, user_id, total, status, payment_mode, payment_status FROM orders WHERE id=?",
+    [orderId]
+  );
+  if (!rows.length) return null;
+  if (!hasPermission(user, "orders:read") && rows[0].user_id !== user.id) return null;
+  return rows[0];
+};
+
+app.get("/orders/:id/payments", requireAuth, async (req, res) => {
+  try {
+    const order = await findVisibleOrder(req.session.user, req.params.id);
+    if (!order) return res.status(404).json({ error: "Order not found" });
+
+    const [payments] = await db.query(
+      "SELECT id, provider, provider_ref, amount, currency, status, created_at, updated_at FROM payments WHERE order_id=? ORDER BY id",
+      [order.id]
+    );
+    const [refunds] = await db.query(
+      "SELECT id, payment_id, amount, status, reason, created_at, updated_at FROM refunds WHERE order_id=? ORDER BY id",
+      [order.id]
+    );
+    res.json({ payment_mode: order.payment_mode, payment_status: order.payment_status, payments, refunds });
+  } catch (err) {
+    console.error("Fetch order payments error:", err);
+    res.status(500).json({ error: "Failed to load payments" });
+  }
+});
+
+// Returns the open payment intent for an online order, opening a new one if the last attempt failed
+app.post("/orders/:id/payment", requireAuth, validate({ params: { id: field.id({ required: true }) } }), async (req, res) => {
+  try {
+    const order = await findVisibleOrder(req.session.user, req.params.id);
+    if (!order) return res.status(404).json({ error: "Order not found" });
+    if (!ONLINE_PAYMENT_MODES.includes(order.payment_mode)) {
+      return res.status(400).json({ error: "This order is not paid online" });
+    }
+    if (!ONLINE_PAYMENTS_ENABLED) return res.status(503).json({ error: "Online payments are not configured" });
+    if (RESTOCK_STATUSES.includes(order.status) || !["unpaid", "failed"].includes(order.payment_status)) {
+      return res.status(409).json({ error: `Order cannot be paid (payment status '${order.payment_status}')` });
+    }
+
+    const [open] = await db.query(
+      "SELECT * FROM payments WHERE order_id=? AND status='requires_payment' ORDER BY id DESC LIMIT 1",
+      [order.id]
+    );
+    const payment = open[0] || await createOrderPayment(order);
+    res.json({ payment: publicPayment(payment) });
+  } catch (err) {
+    console.error("Create order payment error:", err);
+    res.status(500).json({ error: "Failed to start payment" });
+  }
+});
+
+// The provider is called before the transaction so a slow provider never holds the order lock;
+// a webhook that lands in between is harmless because payment moves are one-way.
+app.post("/payments/:id/capture", requirePermission("payments:manage"), async (req, res) => {
+  let result;
+  try {
+    const [rows] = await db.query("SELECT * FROM payments WHERE id=?", [req.params.id]);
+    if (!rows.length) return res.status(404).json({ error: "Payment not found" });
+    if (rows[0].status !== "authorized") {
+      return res.status(409).json({ error: `Only authorized payments can be captured (status '${rows[0].status}')` });
+    }
+    result = await getPaymentProvider(rows[0].provider).capture(rows[0].provider_ref, Number(rows[0].amount));
+  } catch (err) {
+    console.error("Capture payment error:", err);
+    return res.status(500).json({ error: "Failed to capture payment" });
+  }
+
+  const conn = await db.getConnection();
+  let payment;
+  try {
+    await conn.beginTransaction();
+
+    const [refs] = await conn.query("SELECT order_id FROM payments WHERE id=?", [req.params.id]);
+    await conn.query("SELECT id FROM orders WHERE id=? FOR UPDATE", [refs[0].order_id]);
+    [[payment]] = await conn.query("SELECT * FROM payments WHERE id=? FOR UPDATE", [req.params.id]);
+
+    if (result.status === "succeeded") {
+      const before = await audit.snapshot("order", payment.order_id, conn);
+      if (await setPaymentStatus(conn, payment, "succeeded")) {
+        await audit.record(req, {
+          action: "capture_payment",
+          entity: "order",
+          entityId: payment.order_id,
+          before,
+          after: await audit.snapshot("order", payment.order_id, conn)
+        }, conn);
+      }
+    }
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    console.error("Capture payment error:", err);
+    return res.status(500).json({ error: "Failed to record captured payment" });
+  } finally {
+    conn.release();
+  }
+
+  if (result.status !== "succeeded") {
+    return res.status(402).json({
+      error: `Payment was not captured (provider status '${result.status}')`,
+      payment: publicPayment(payment)
+    });
+  }
+  res.json({ message: "Payment captured", payment: publicPayment(payment) });
+});
+
+app.post("/refunds/:id/retry", requirePermission("payments:manage"), async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      `SELECT r.id, r.order_id, r.amount, r.status, p.provider, p.provider_ref AS payment_ref
+       FROM refunds r JOIN payments p ON p.id = r.payment_id
+       WHERE r.id=?`,
+      [req.params.id]
+    );
+    if (!rows.length) return res.status(404).json({ error: "Refund not found" });
+    if (rows[0].status !== "failed") {
+      return res.status(409).json({ error: `Only failed refunds can be retried (status '${rows[0].status}')` });
+    }
+
+    // The status guard keeps two retries from both reaching the provider
+    const [claimed] = await db.query(
+      "UPDATE refunds SET status='pending', updated_at=NOW() WHERE id=? AND status='failed'",
+      [rows[0].id]
+    );
+    if (!claimed.affectedRows) return res.status(409).json({ error: "Refund is already being retried" });
+    await issueRefund({ ...rows[0], amount: Number(rows[0].amount) });
+
+    const [[refund]] = await db.query("SELECT id, payment_id, amount, status, reason, updated_at FROM refunds WHERE id=?", [rows[0].id]);
+    res.json({ message: refund.status === "failed" ? "Refund failed again" : "Refund sent", refund });
+  } catch (err) {
+    console.error("Retry refund error:", err);
+    res.status(500).json({ error: "Failed to retry refund" });
+  }
+});
+
+// Confirms that staff handed back the cash for a pending cash refund
+app.post("/refunds/:id/complete", requirePermission("payments:manage"), async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      `SELECT r.id, r.order_id, r.status, p.provider
+       FROM refunds r JOIN payments p ON p.id = r.payment_id
+       WHERE r.id=?`,
+      [req.params.id]
+    );
+    if (!rows.length) return res.status(404).json({ error: "Refund not found" });
+    if (rows[0].provider !== CASH_PROVIDER) {
+      return res.status(409).json({ error: "Only cash refunds are completed by hand" });
+    }
+
+    const [result] = await db.query(
+      "UPDATE refunds SET status='succeeded', updated_at=NOW() WHERE id=? AND status='pending'",
+      [rows[0].id]
+    );
+    if (!result.affectedRows) {
+      return res.status(409).json({ error: `Only pending refunds can be completed (status '${rows[0].status}')` });
+    }
+    await refreshRefundStatus(db, rows[0].order_id);
+
+    const [[refund]] = await db.query("SELECT id, payment_id, amount, status, reason, updated_at FROM refunds WHERE id=?", [rows[0].id]);
+    res.json({ message: "Refund completed", refund });
+  } catch (err) {
+    console.error("Complete refund error:", err);
+    res.status(500).json({ error: "Failed to complete refund" });
+  }
+});
+
+// ---------------- DELIVERY ----------------
+
+// GET /delivery-slots?from=YYYY-MM-DD&to=YYYY-MM-DD (defaults to the next 7 days)
+app.get("/delivery-slots", validate({ query: { from: field.date(), to: field.date() } }), async (req, res) => {
+  const today = formatDate(new Date());
+  const from = req.validQuery.from || today;
+  const defaultTo = new Date();
+  defaultTo.setDate(defaultTo.getDate() + 6);
+  const to = req.validQuery.to || formatDate(defaultTo);
+  if (to < from) return res.status(400).json({ error: "to cannot be before from" });
+
+  const dates = datesBetween(from < today ? today : from, to);
+  if (dates.length > MAX_CALENDAR_DAYS) {
+    return res.status(400).json({ error: `At most ${MAX_CALENDAR_DAYS} days can be requested` });
+  }
+  if (!dates.length) return res.json([]);
+
+  try {
+    const [slots] = await db.query("SELECT * FROM delivery_slots WHERE active=1 ORDER BY start_time, id");
+    const [blackouts] = await db.query(
+      "SELECT DATE_FORMAT(blackout_date, '%Y-%m-%d') AS date, reason FROM delivery_blackout_dates WHERE blackout_date BETWEEN ? AND ?",
+      [dates[0], dates[dates.length - 1]]
+    );
+    const [bookings] = await db.query(
+      `SELECT DATE_FORMAT(delivery_date, '%Y-%m-%d') AS date, delivery_slot_id, COUNT(*) AS booked
+       FROM orders
+       WHERE delivery_date BETWEEN ? AND ? AND status NOT IN (?)
+       GROUP BY delivery_date, delivery_slot_id`,
+      [dates[0], dates[dates.length - 1], RESTOCK_STATUSES]
+    );
+
+    const blackoutByDate = new Map(blackouts.map(b => [b.date, b.reason]));
+    const bookedBySlot = new Map(bookings.map(b => [`${b.date}:${b.delivery_slot_id}`, Number(b.booked)]));
+
+    const calendar = dates.map(date => ({
+      date,
+      blackout: blackoutByDate.has(date),
+      blackout_reason: blackoutByDate.get(date) || null,
+      slots: blackoutByDate.has(date) ? [] : slots
+        .filter(slot => slotRunsOn(slot, date))
+        .map(slot => {
+          const booked = bookedBySlot.get(`${date}:${slot.id}`) || 0;
+          const remaining = Math.max(0, slot.capacity - booked);
+          return {
+            slot_id: slot.id,
+            label: slot.label,
+            start_time: slot.start_time,
+            end_time: slot.end_time,
+            capacity: slot.capacity,
+            booked,
+            remaining,
+            available: remaining > 0 && isBookable(slot, date, DELIVERY_CUTOFF_MINUTES)
+          };
+        })
+    }));
+
+    res.json(calendar);
+  } catch (err) {
+    console.error("Fetch delivery slots error:", err);
+    res.status(500).json({ error: "Failed to load delivery slots" });
+  }
+});
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// `required` is false for updates, which only send the fields they change
+const slotBody = (required) => ({
+  label: field.string({ required, min: 1, max: 100 }),
+  start_time: field.string({ required, pattern: TIME_PATTERN, patternMessage: "must be a time (HH:MM)" }),
+  end_time: field.string({ required, pattern: TIME_PATTERN, patternMessage: "must be a time (HH:MM)" }),
+  capacity: field.integer({ required, min: 0 }),
+  days_of_week: field.array({ nullable: true, of: field.integer({ min: 0, max: 6 }) }),
+  active: field.boolean()
+});
+
+// Column values from a validated slot body; fields the body left out stay out
+const slotFromBody = (body) => {
+  const slot = {};
+  for (const column of ["label", "start_time", "end_time", "capacity"]) {
+    if (body[column] !== undefined) slot[column] = body[column];
+  }
+  if (body.days_of_week !== undefined) {
+    const days = body.days_of_week || [];
+    slot.days_of_week = days.length ? [...new Set(days)].sort().join(",") : null;
+  }
+  if (body.active !== undefined) slot.active = body.active ? 1 : 0;
+  return slot;
+};
+
+const formatSlot = (slot) => ({ ...slot, days_of_week: parseDaysOfWeek(slot.days_of_week), active: Boolean(slot.active) });
+
+app.get("/delivery-slots/config", requirePermission("delivery:manage"), async (req, res) => {
+  try {
+    const [slots] = await db.query("SELECT * FROM delivery_slots ORDER BY start_time, id");
+    const [blackouts] = await db.query(
+      `SELECT DATE_FORMAT(blackout_date, '%Y-%m-%d') AS date, reason FROM delivery_blackout_dates
+       WHERE blackout_date >= CURDATE() ORDER BY blackout_date`
+    );
+    res.json({ cutoff_minutes: DELIVERY_CUTOFF_MINUTES, slots: slots.map(formatSlot), blackout_dates: blackouts });
+  } catch (err) {
+    console.error("Fetch delivery config error:", err);
+    res.status(500).json({ error: "Failed to load delivery configuration" });
   }
 });
 
-app.delete("/users/:id", async (req, res) => {
+app.post("/delivery-slots", requirePermission("delivery:manage"), validate({ body: slotBody(true) }), async (req, res) => {
+  const slot = slotFromBody(req.body);
+  if (slot.end_time <= slot.start_time) return res.status(400).json({ error: "end_time must be after start_time" });
+
   try {
-    const { id } = req.params;
-    await db.query("DELETE FROM users WHERE id=?", [id]);
-    res.json({ message: "User deleted!" });
+    const [result] = await db.query(
+      `INSERT INTO delivery_slots (label, start_time, end_time, capacity, days_of_week, active, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+      [slot.label, slot.start_time, slot.end_time, slot.capacity, slot.days_of_week ?? null, slot.active ?? 1]
+    );
+    const [rows] = await db.query("SELECT * FROM delivery_slots WHERE id=?", [result.insertId]);
+    res.status(201).json({ message: "Delivery slot created", slot: formatSlot(rows[0]) });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    console.error("Create delivery slot error:", err);
+    res.status(500).json({ error: "Failed to create delivery slot" });
   }
 });
 
-// ---------------- ORDERS ----------------
-app.get("/orders", async (req, res) => {
+app.put("/delivery-slots/:id", requirePermission("delivery:manage"), validate({
+  params: { id: field.id({ required: true }) },
+  body: slotBody(false)
+}), async (req, res) => {
+  const slot = slotFromBody(req.body);
+  if (!Object.keys(slot).length) return res.status(400).json({ error: "Nothing to update" });
+
   try {
-    const [rows] = await db.query(`
-      SELECT 
-        o.id AS order_id,
-        o.user_name,
-        o.total AS order_total,
-        o.payment_mode,
-        o.status,
-        o.created_at,
-        oi.id AS order_item_id,
-        oi.product_id,
-        oi.product_name,
-        oi.quantity,
-        oi.price AS item_price,
-        oi.total AS item_total,
-        p.image_url,
-        IFNULL(p.category, p.name) AS category
-      FROM orders o
-      LEFT JOIN order_items oi ON oi.order_id = o.id
-      LEFT JOIN products p ON oi.product_id = p.id
-      ORDER BY o.created_at DESC
-    `);
-    res.json(rows);
+    const [existing] = await db.query("SELECT * FROM delivery_slots WHERE id=?", [req.params.id]);
+    if (!existing.length) return res.status(404).json({ error: "Delivery slot not found" });
+
+    const merged = { ...existing[0], ...slot };
+    if (String(merged.end_time) <= String(merged.start_time)) {
+      return res.status(400).json({ error: "end_time must be after start_time" });
+    }
+
+    const columns = Object.keys(slot);
+    await db.query(
+      `UPDATE delivery_slots SET ${columns.map(c => `${c}=?`).join(", ")} WHERE id=?`,
+      [...columns.map(c => slot[c]), req.params.id]
+    );
+    const [rows] = await db.query("SELECT * FROM delivery_slots WHERE id=?", [req.params.id]);
+    res.json({ message: "Delivery slot updated", slot: formatSlot(rows[0]) });
+  } catch (err) {
+    console.error("Update delivery slot error:", err);
+    res.status(500).json({ error: "Failed to update delivery slot" });
+  }
+});
+
+// Slots that orders already point at are deactivated instead of deleted
+app.delete("/delivery-slots/:id", requirePermission("delivery:manage"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const [[{ used }]] = await db.query("SELECT COUNT(*) AS used FROM orders WHERE delivery_slot_id=?", [id]);
+
+    const [result] = Number(used)
+      ? await db.query("UPDATE delivery_slots SET active=0 WHERE id=?", [id])
+      : await db.query("DELETE FROM delivery_slots WHERE id=?", [id]);
+    if (!result.affectedRows) return res.status(404).json({ error: "Delivery slot not found" });
+
+    res.json({ message: Number(used) ? "Delivery slot deactivated" : "Delivery slot deleted" });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    console.error("Delete delivery slot error:", err);
+    res.status(500).json({ error: "Failed to delete delivery slot" });
   }
 });
 
-app.post("/orders", async (req, res) => {
-  const { user_name, payment_mode, items } = req.body;
-  if (!user_name || !payment_mode || !items?.length) return res.status(400).json({ error: "Missing required fields or items" });
+app.put("/delivery-blackouts/:date", requirePermission("delivery:manage"), validate({
+  params: { date: field.date({ required: true }) },
+  body: { reason: field.string({ max: 255 }) }
+}), async (req, res) => {
+  const { date } = req.params;
 
-  const conn = await db.getConnection();
   try {
-    await conn.beginTransaction();
+    await db.query(
+      `INSERT INTO delivery_blackout_dates (blackout_date, reason, created_at) VALUES (?, ?, NOW())
+       ON DUPLICATE KEY UPDATE reason = VALUES(reason)`,
+      [date, req.body.reason || null]
+    );
+    // Orders already booked for the day are left alone; staff reschedule them by hand
+    const [[{ booked }]] = await db.query(
+      "SELECT COUNT(*) AS booked FROM orders WHERE delivery_date=? AND status NOT IN (?)",
+      [date, RESTOCK_STATUSES]
+    );
+    res.json({ message: "Blackout date saved", date, reason: req.body.reason || null, existing_orders: Number(booked) });
+  } catch (err) {
+    console.error("Save blackout date error:", err);
+    res.status(500).json({ error: "Failed to save blackout date" });
+  }
+});
 
-    const productIds = items.map(i => i.product_id);
-    const [products] = await conn.query("SELECT id, name, price, stock FROM products WHERE id IN (?)", [productIds]);
-
-    let orderTotal = 0;
-    const orderItemsData = items.map(item => {
-      const product = products.find(p => p.id === item.product_id);
-      if (!product) throw new Error(`Product ${item.product_id} not found`);
-      if (item.quantity > product.stock) throw new Error(`Not enough stock for ${product.name}`);
-      const total = Number(product.price) * Number(item.quantity);
-      orderTotal += total;
-      return { product_id: product.id, product_name: product.name, quantity: item.quantity, price: product.price, total };
-    });
+app.delete("/delivery-blackouts/:date", requirePermission("delivery:manage"),
+  validate({ params: { date: field.date({ required: true }) } }), async (req, res) => {
+  try {
+    const [result] = await db.query("DELETE FROM delivery_blackout_dates WHERE blackout_date=?", [req.params.date]);
+    if (!result.affectedRows) return res.status(404).json({ error: "Blackout date not found" });
+    res.json({ message: "Blackout date removed" });
+  } catch (err) {
+    console.error("Delete blackout date error:", err);
+    res.status(500).json({ error: "Failed to remove blackout date" });
+  }
+});
 
-    const [orderResult] = await conn.query(
-      "INSERT INTO orders (user_name, total, payment_mode, status, created_at) VALUES (?, ?, ?, 'pending', NOW())",
-      [user_name, orderTotal, payment_mode]
+// ---------------- NOTIFICATIONS ----------------
+
+const NOTIFICATION_RETENTION_DAYS = process.env.NOTIFICATION_RETENTION_DAYS
+  ? parseInt(process.env.NOTIFICATION_RETENTION_DAYS)
+  : 90;
+
+// Staff see the shared feed plus anything addressed to them; customers only their own.
+// Read state is per user, so `is_read` depends on who is asking.
+const notificationScope = (user) => ({
+  where: "(n.user_id = ? OR (? AND n.user_id IS NULL))",
+  params: [user.id, hasPermission(user, "notifications:read")]
+});
+
+// WHERE clause for the inbox filters: type (comma-separated) and read=true|false
+const buildNotificationFilters = (user, query) => {
+  const scope = notificationScope(user);
+  const conditions = [scope.where];
+  const params = [...scope.params];
+
+  if (query.type) {
+    conditions.push("n.type IN (?)");
+    params.push(String(query.type).split(",").map(t => t.trim()).filter(Boolean));
+  }
+  if (query.read !== undefined) {
+    conditions.push(`${query.read === "true" ? "" : "NOT "}EXISTS (
+      SELECT 1 FROM notification_reads r WHERE r.notification_id = n.id AND r.user_id = ?)`);
+    params.push(user.id);
+  }
+
+  return { where: `WHERE ${conditions.join(" AND ")}`, params };
+};
+
+const notificationQuery = {
+  type: field.string({ max: 255 }),
+  read: field.enum({ values: ["true", "false"] })
+};
+
+// GET /notifications?type=&read=&cursor=&limit= — newest first; pass next_cursor back as cursor
+app.get("/notifications", requireAuth, validate({
+  query: { ...notificationQuery, cursor: field.id(), limit: field.integer({ min: 1, max: 100 }) }
+}), async (req, res) => {
+  const user = req.session.user;
+  const limit = req.validQuery.limit || 20;
+  const { where, params } = buildNotificationFilters(user, req.query);
+  const cursor = req.validQuery.cursor ? " AND n.id < ?" : "";
+
+  try {
+    const [rows] = await db.query(
+      `SELECT n.id, n.type, n.reference_id, n.message, n.data, n.created_at,
+         EXISTS (SELECT 1 FROM notification_reads r WHERE r.notification_id = n.id AND r.user_id = ?) AS is_read
+       FROM notifications n
+       ${where}${cursor}
+       ORDER BY n.id DESC
+       LIMIT ?`,
+      [user.id, ...params, ...(cursor ? [req.validQuery.cursor] : []), limit + 1]
     );
 
-    const orderId = orderResult.insertId;
-    const orderItemsValues = orderItemsData.map(i => [orderId, i.product_id, i.product_name, i.quantity, i.price, i.total]);
-    await conn.query(
-      "INSERT INTO order_items (order_id, product_id, product_name, quantity, price, total) VALUES ?",
-      [orderItemsValues]
+    const data = rows.slice(0, limit).map(n => ({ ...n, is_read: Boolean(n.is_read), isRead: n.is_read ? 1 : 0 }));
+    res.json({ data, next_cursor: rows.length > limit ? data[data.length - 1].id : null });
+  } catch (err) {
+    console.error("Fetch notifications error:", err);
+    res.status(500).json({ error: "Failed to load notifications" });
+  }
+});
+
+app.get("/notifications/unread-count", requireAuth, validate({ query: { type: notificationQuery.type } }), async (req, res) => {
+  const user = req.session.user;
+  const { where, params } = buildNotificationFilters(user, { ...req.query, read: "false" });
+
+  try {
+    const [[{ unread }]] = await db.query(`SELECT COUNT(*) AS unread FROM notifications n ${where}`, params);
+    res.json({ unread });
+  } catch (err) {
+    console.error("Count unread notifications error:", err);
+    res.status(500).json({ error: "Failed to count notifications" });
+  }
+});
+
+// Marks everything visible (optionally only ?type=) as read for the current user
+app.put("/notifications/read-all", requireAuth, validate({ query: { type: notificationQuery.type } }), async (req, res) => {
+  const user = req.session.user;
+  const { where, params } = buildNotificationFilters(user, { ...req.query, read: "false" });
+
+  try {
+    const [result] = await db.query(
+      `INSERT IGNORE INTO notification_reads (notification_id, user_id, read_at)
+       SELECT n.id, ?, NOW() FROM notifications n ${where}`,
+      [user.id, ...params]
     );
+    res.json({ message: "Notifications marked as read", updated: result.affectedRows });
+  } catch (err) {
+    console.error("Mark all notifications read error:", err);
+    res.status(500).json({ error: "Failed to update notifications" });
+  }
+});
+
+app.put("/notifications/:id/read", requireAuth, async (req, res) => {
+  const user = req.session.user;
+  const scope = notificationScope(user);
 
-    // Update stock
-    for (const item of orderItemsData) {
-      const product = products.find(p => p.id === item.product_id);
-      await conn.query("UPDATE products SET stock=? WHERE id=?", [product.stock - item.quantity, product.id]);
+  try {
+    const [visible] = await db.query(
+      `SELECT n.id FROM notifications n WHERE n.id = ? AND ${scope.where}`,
+      [req.params.id, ...scope.params]
+    );
+    if (!visible.length) return res.status(404).json({ error: "Notification not found" });
 
-      const [updated] = await conn.query(
-      "SELECT id, name, stock FROM products WHERE id=?",
-      [product.id]
+    await db.query(
+      "INSERT IGNORE INTO notification_reads (notification_id, user_id, read_at) VALUES (?, ?, NOW())",
+      [visible[0].id, user.id]
     );
-      if (updated.length > 0) await lowStockNotification(updated[0]);
+    res.json({ message: "Notification marked as read!" });
+  } catch (err) {
+    console.error("Mark notification read error:", err);
+    res.status(500).json({ error: "Failed to update notification" });
+  }
+});
+
+// Deleting removes a notification for everyone, so the shared feed needs notifications:manage;
+// anyone may delete notifications addressed to them
+const deletableNotifications = (user) => hasPermission(user, "notifications:manage")
+  ? notificationScope(user)
+  : { where: "n.user_id = ?", params: [user.id] };
 
+// Deletes the given notifications the user may delete, auditing each one. Returns how many went.
+const deleteNotifications = async (req, ids) => {
+  const scope = deletableNotifications(req.session.user);
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
 
+    const [rows] = await conn.query(
+      `SELECT n.* FROM notifications n WHERE n.id IN (?) AND ${scope.where} FOR UPDATE`,
+      [ids, ...scope.params]
+    );
+    if (rows.length) {
+      await conn.query("DELETE FROM notifications WHERE id IN (?)", [rows.map(n => n.id)]);
+      for (const notification of rows) {
+        await audit.record(req, { action: "delete", entity: "notification", entityId: notification.id, before: notification }, conn);
+      }
     }
 
     await conn.commit();
-    res.json({ message: "Order placed!", order_id: orderId });
+    return rows.length;
   } catch (err) {
     await conn.rollback();
-    res.status(500).json({ error: err.message });
+    throw err;
   } finally {
     conn.release();
   }
+};
+
+// Body: { ids: [...] }
+app.delete("/notifications", requireAuth, validate({
+  body: { ids: field.array({ required: true, min: 1, max: 500, of: field.id() }) }
+}), async (req, res) => {
+  try {
+    const deleted = await deleteNotifications(req, req.body.ids);
+    res.json({ message: "Notifications deleted", deleted });
+  } catch (err) {
+    console.error("Bulk delete notifications error:", err);
+    res.status(500).json({ error: "Failed to delete notifications" });
+  }
 });
 
-app.put("/orders/:id/status", async (req, res) => {
-  const { id } = req.params;
-  const { status } = req.body;
-  if (!status) return res.status(400).json({ error: "Status is required" });
+app.delete("/notifications/:id", requireAuth, async (req, res) => {
+  try {
+    const deleted = await deleteNotifications(req, [req.params.id]);
+    if (!deleted) return res.status(404).json({ error: "Notification not found" });
+    res.json({ message: "Notification deleted!" });
+  } catch (err) {
+    console.error("Delete notification error:", err);
+    res.status(500).json({ error: "Failed to delete notification" });
+  }
+});
+
+// Login & Logout ----------------
+const loginBody = {
+  email: field.string({ required: true, max: 255 }),
+  password: field.string({ required: true, max: 255, trim: false })
+};
+
+app.post("/login", validate({ body: loginBody }), async (req, res) => {
+  const { email, password } = req.body;
+
+  try {
+    const user = await authenticate(email, password);
+    if (!user)
+      return res.status(400).json({ error: "Invalid email or password." });
 
+    if (!hasPermission(user, "dashboard:access"))
+      return res.status(403).json({ error: "Access denied. Admin or staff only." });
+
+    req.session.user = { id: user.id, name: user.name, role: user.role };
+    res.json({ message: "Login successful", user: req.session.user });
+  } catch (err) {
+    console.error("Login error:", err);
+    res.status(500).json({ error: "Login failed" });
+  }
+});
+
+app.post("/logout", (req, res) => {
+  req.session.destroy(err => {
+    if (err) return res.status(500).json({ error: "Logout failed" });
+    res.clearCookie("connect.sid");
+    res.json({ message: "Logged out successfully" });
+  });
+});
+
+// ---------------- CUSTOMER ACCOUNTS ----------------
+// A cart that fails to merge shouldn't block signing in
+const mergeGuestCartSafely = async (req) => {
   try {
-    let normalizedStatus = status.trim();
-    if (/cancelled/i.test(normalizedStatus)) normalizedStatus = "Cancelled/Returned";
-    if (/delivered/i.test(normalizedStatus)) normalizedStatus = "Delivered";
-    if (/pending/i.test(normalizedStatus)) normalizedStatus = "Pending";
+    await mergeGuestCart(req);
+  } catch (err) {
+    console.error("Merge guest cart error:", err);
+  }
+};
+
+app.post("/customers/register", validate({
+  body: {
+    name: field.string({ required: true, min: 1, max: 255 }),
+    email: field.email({ required: true }),
+    password: field.string({ required: true, min: MIN_PASSWORD_LENGTH, max: 255, trim: false }),
+    contact_number: field.string({ max: 50 })
+  }
+}), async (req, res) => {
+  const { name, email, password, contact_number } = req.body;
 
-    await db.query("UPDATE orders SET status=? WHERE id=?", [normalizedStatus, id]);
-    const [results] = await db.query("SELECT id, user_name, status FROM orders WHERE id=?", [id]);
-    if (results.length > 0) await orderStatusNotification(results[0]);
+  try {
+    const [result] = await db.query(
+      "INSERT INTO users (name, email, contact_number, role, password) VALUES (?, ?, ?, 'customer', ?)",
+      [name, email, contact_number || null, await hashPassword(password)]
+    );
 
-    res.json({ message: "Status updated!" });
+    req.session.user = { id: result.insertId, name, role: "customer" };
+    await mergeGuestCartSafely(req);
+    res.status(201).json({ message: "Account created", user: req.session.user });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    if (err.code === "ER_DUP_ENTRY") return res.status(409).json({ error: "An account with that email already exists." });
+    console.error("Register error:", err);
+    res.status(500).json({ error: "Failed to create account" });
   }
 });
 
-// ---------------- SALES BY CATEGORY ----------------
-app.get("/sales-by-category", async (req, res) => {
+app.post("/customers/login", validate({ body: loginBody }), async (req, res) => {
+  const { email, password } = req.body;
+
   try {
-    const [results] = await db.query(`
-      SELECT p.category, SUM(oi.total) AS total_sales
-      FROM order_items oi
-      JOIN products p ON oi.product_id = p.id
-      GROUP BY p.category
-      ORDER BY total_sales DESC
-    `);
-    res.json(results);
+    const user = await authenticate(email, password);
+    if (!user)
+      return res.status(400).json({ error: "Invalid email or password." });
+
+    // Staff and admins sign in through /login
+    if (user.role !== "customer")
+      return res.status(403).json({ error: "Please use the admin login." });
+
+    req.session.user = { id: user.id, name: user.name, role: user.role };
+    await mergeGuestCartSafely(req);
+    res.json({ message: "Login successful", user: req.session.user });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    console.error("Customer login error:", err);
+    res.status(500).json({ error: "Login failed" });
   }
 });
 
-// ---------------- NOTIFICATIONS ----------------
-app.get("/notifications", async (req, res) => {
+app.get("/me", requireAuth, async (req, res) => {
   try {
-    const [results] = await db.query("SELECT * FROM notifications ORDER BY id DESC LIMIT 20");
-    res.json(results);
+    const [rows] = await db.query(
+      "SELECT id, name, email, contact_number, role FROM users WHERE id=?",
+      [req.session.user.id]
+    );
+    if (!rows.length) return res.status(404).json({ error: "User not found" });
+    res.json(rows[0]);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    console.error("Fetch me error:", err);
+    res.status(500).json({ error: "Failed to load account" });
   }
 });
 
-app.put("/notifications/:id/read", async (req, res) => {
+app.get("/me/orders", requireAuth, validate({ query: paginationQuery }), async (req, res) => {
   try {
-    const { id } = req.params;
-    await db.query("UPDATE notifications SET isRead=1 WHERE id=?", [id]);
-    res.json({ message: "Notification marked as read!" });
+    const filters = { where: "WHERE o.user_id = ?", params: [req.session.user.id] };
+    res.json(await listOrders(filters, parsePagination(req.query)));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    console.error("Fetch my orders error:", err);
+    res.status(500).json({ error: "Failed to load orders" });
   }
 });
 
-app.delete("/notifications/:id", async (req, res) => {
+app.get("/me/notification-preferences", requireAuth, async (req, res) => {
   try {
-    const { id } = req.params;
-    await db.query("DELETE FROM notifications WHERE id=?", [id]);
-    res.json({ message: "Notification deleted!" });
+    const [rows] = await db.query("SELECT email_opt_out, sms_opt_out FROM users WHERE id=?", [req.session.user.id]);
+    if (!rows.length) return res.status(404).json({ error: "User not found" });
+    res.json({ email: !rows[0].email_opt_out, sms: !rows[0].sms_opt_out });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    console.error("Fetch notification preferences error:", err);
+    res.status(500).json({ error: "Failed to load notification preferences" });
   }
 });
 
-// Login & Logout ----------------
-app.post("/login", async (req, res) => {
-  const { email, password } = req.body;
-  if (!email || !password)
-    return res.status(400).json({ error: "Email and password are required." });
+// Body: { email?: boolean, sms?: boolean } — false opts out of that channel
+app.put("/me/notification-preferences", requireAuth, validate({
+  body: { email: field.boolean(), sms: field.boolean() }
+}), async (req, res) => {
+  const { email, sms } = req.body;
+  if (email === undefined && sms === undefined) return res.status(400).json({ error: "Nothing to update" });
+
+  try {
+    await db.query(
+      "UPDATE users SET email_opt_out = COALESCE(?, email_opt_out), sms_opt_out = COALESCE(?, sms_opt_out) WHERE id=?",
+      [email === undefined ? null : !email, sms === undefined ? null : !sms, req.session.user.id]
+    );
+    const [[prefs]] = await db.query("SELECT email_opt_out, sms_opt_out FROM users WHERE id=?", [req.session.user.id]);
+    res.json({ message: "Preferences saved", email: !prefs.email_opt_out, sms: !prefs.sms_opt_out });
+  } catch (err) {
+    console.error("Save notification preferences error:", err);
+    res.status(500).json({ error: "Failed to save notification preferences" });
+  }
+});
+
+// GET /outbox?status=&channel=&order_id=&page=&limit=
+app.get("/outbox", requirePermission("notifications:manage"), validate({
+  query: {
+    ...paginationQuery,
+    status: field.enum({ values: ["pending", "sending", "sent", "failed"] }),
+    channel: field.enum({ values: ["email", "sms"] }),
+    order_id: field.id()
+  }
+}), async (req, res) => {
+  const conditions = [];
+  const params = [];
+  for (const key of ["status", "channel", "order_id"]) {
+    if (req.validQuery[key] === undefined) continue;
+    conditions.push(`${key} = ?`);
+    params.push(req.validQuery[key]);
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+  const pagination = parsePagination(req.query);
 
   try {
+    const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total FROM outbound_messages ${where}`, params);
     const [rows] = await db.query(
-      "SELECT id, name, email, password, role FROM users WHERE email=?",
-      [email]
+      `SELECT id, channel, recipient, subject, template, order_id, user_id, status, attempts, last_error,
+         next_attempt_at, sent_at, created_at
+       FROM outbound_messages ${where}
+       ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...params, pagination.limit, pagination.offset]
+    );
+    res.json({ data: rows, pagination: paginationMeta(pagination, total) });
+  } catch (err) {
+    console.error("Fetch outbox error:", err);
+    res.status(500).json({ error: "Failed to load outbox" });
+  }
+});
+
+// Puts a failed message back in the queue with a fresh set of attempts
+app.post("/outbox/:id/retry", requirePermission("notifications:manage"), async (req, res) => {
+  try {
+    const [result] = await db.query(
+      "UPDATE outbound_messages SET status='pending', attempts=0, next_attempt_at=NOW() WHERE id=? AND status='failed'",
+      [req.params.id]
     );
+    if (!result.affectedRows) {
+      const [rows] = await db.query("SELECT status FROM outbound_messages WHERE id=?", [req.params.id]);
+      if (!rows.length) return res.status(404).json({ error: "Message not found" });
+      return res.status(409).json({ error: `Only failed messages can be retried (status '${rows[0].status}')` });
+    }
+
+    sendOutbox();
+    res.json({ message: "Message queued for another attempt" });
+  } catch (err) {
+    console.error("Retry outbox message error:", err);
+    res.status(500).json({ error: "Failed to retry message" });
+  }
+});
+
+// Password reset ----------------
+app.post("/forgot-password", validate({ body: { email: field.string({ required: true, max: 255 }) } }), async (req, res) => {
+  const { email } = req.body;
 
-    if (!rows.length) return res.status(400).json({ error: "Invalid email or password." });
+  // Same response whether or not the email exists, so accounts can't be enumerated
+  const response = { message: "If that email is registered, a reset link has been sent." };
+
+  try {
+    const [rows] = await db.query("SELECT id, name, email FROM users WHERE email=? AND archived_at IS NULL", [email]);
+    if (!rows.length) return res.json(response);
 
     const user = rows[0];
+    const { token, tokenHash } = generateResetToken();
 
-    // Plain-text check (use bcrypt in production)
-    if (password !== user.password)
-      return res.status(400).json({ error: "Invalid email or password." });
+    await db.query(
+      `INSERT INTO password_resets (user_id, token_hash, expires_at, created_at)
+       VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), NOW())`,
+      [user.id, tokenHash, PASSWORD_RESET_TTL_MINUTES]
+    );
 
-    if (user.role !== "admin")
-      return res.status(403).json({ error: "Access denied. Admins only." });
+    const resetUrl = `${process.env.FRONTEND_URL || "http://localhost:3000"}/reset-password?token=${token}`;
+    await mailer.send({
+      to: user.email,
+      subject: "Reset your Camarcl Flowershop password",
+      text: `Hi ${user.name},\n\nUse the link below to reset your password. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes.\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`
+    });
 
-    req.session.user = { id: user.id, name: user.name, role: user.role };
-    res.json({ message: "Login successful", user: req.session.user });
+    res.json(response);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    console.error("Forgot password error:", err);
+    res.status(500).json({ error: "Failed to start password reset" });
   }
 });
 
-app.post("/logout", (req, res) => {
-  req.session.destroy(err => {
-    if (err) return res.status(500).json({ error: "Logout failed" });
-    res.clearCookie("connect.sid");
-    res.json({ message: "Logged out successfully" });
-  });
+app.post("/reset-password", validate({
+  body: {
+    token: field.string({ required: true, max: 255 }),
+    password: field.string({ required: true, min: MIN_PASSWORD_LENGTH, max: 255, trim: false })
+  }
+}), async (req, res) => {
+  const { token, password } = req.body;
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(
+      `SELECT id, user_id FROM password_resets
+       WHERE token_hash=? AND used_at IS NULL AND expires_at > NOW()
+       FOR UPDATE`,
+      [hashResetToken(token)]
+    );
+    if (!rows.length) {
+      await conn.rollback();
+      return res.status(400).json({ error: "Reset link is invalid or has expired." });
+    }
+
+    const reset = rows[0];
+    await conn.query("UPDATE users SET password=? WHERE id=?", [await hashPassword(password), reset.user_id]);
+    // Burn this token and any other outstanding ones for the same user
+    await conn.query(
+      "UPDATE password_resets SET used_at=NOW() WHERE user_id=? AND used_at IS NULL",
+      [reset.user_id]
+    );
+
+    await conn.commit();
+    res.json({ message: "Password has been reset." });
+  } catch (err) {
+    await conn.rollback();
+    console.error("Reset password error:", err);
+    res.status(500).json({ error: "Failed to reset password" });
+  } finally {
+    conn.release();
+  }
 });
 
 // ---------------- DASHBOARD (PROTECTED) ----------------
-app.get("/dashboard", requireAdmin, (req, res) => {
+app.get("/dashboard", requirePermission("dashboard:access"), (req, res) => {
   res.json({ message: "Welcome Admin!", user: req.session.user });
 });
 
@@ -660,8 +4388,144 @@ app.get("/", (req, res) => {
 
 app.get("/", (req, res) => res.send("Backend running!"));
 
-// // Catch-all
-// app.all("*", (req, res) => res.status(404).json({ error: "Route not found" }));
+// Unknown routes, then anything a handler threw
+app.use(notFound);
+app.use(errorHandler);
+
+// ---------------- SCHEDULED JOBS ----------------
+
+const BATCH_EXPIRY_INTERVAL_MINUTES = process.env.BATCH_EXPIRY_INTERVAL_MINUTES
+  ? parseInt(process.env.BATCH_EXPIRY_INTERVAL_MINUTES)
+  : 60;
+
+// Writes off open batches past their expiry date, taking them out of stock as spoilage
+const writeOffExpiredBatches = async () => {
+  const [expired] = await db.query(
+    `SELECT b.id, b.product_id, b.variant_id, b.expires_at, p.name AS product_name, v.name AS variant_name
+     FROM stock_batches b
+     JOIN products p ON p.id = b.product_id
+     LEFT JOIN product_variants v ON v.id = b.variant_id
+     WHERE b.written_off_at IS NULL AND b.expires_at < CURDATE()`
+  );
+
+  for (const batch of expired) {
+    const conn = await db.getConnection();
+    let adjustment = null;
+    let writtenOff = 0;
+    try {
+      await conn.beginTransaction();
+
+      // Product row first, like every other stock change
+      await conn.query("SELECT id FROM products WHERE id=? FOR UPDATE", [batch.product_id]);
+      const [[locked]] = await conn.query(
+        "SELECT quantity_remaining, written_off_at FROM stock_batches WHERE id=? FOR UPDATE",
+        [batch.id]
+      );
+      if (!locked || locked.written_off_at) {
+        await conn.rollback();
+        continue;
+      }
+
+      const [[target]] = batch.variant_id
+        ? await conn.query("SELECT stock FROM product_variants WHERE id=?", [batch.variant_id])
+        : await conn.query("SELECT stock FROM products WHERE id=?", [batch.product_id]);
+      writtenOff = Math.min(locked.quantity_remaining, target?.stock ?? 0);
+
+      // Stock already lower than the batch (sold as untracked stock, corrected by hand) can only
+      // lose what it has; the batch records what was actually removed
+      await conn.query(
+        "UPDATE stock_batches SET written_off_at=NOW(), written_off_quantity=?, quantity_remaining=0 WHERE id=?",
+        [writtenOff, batch.id]
+      );
+
+      if (writtenOff > 0) {
+        const result = await adjustStock(conn, {
+          productId: batch.product_id,
+          variantId: batch.variant_id,
+          change: -writtenOff,
+          reason: "spoilage",
+          note: `Batch #${batch.id} expired`,
+          consume: false
+        });
+        if (result.error) throw new Error(result.error);
+        adjustment = result.adjustment;
+      }
+
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback();
+      console.error(`Batch #${batch.id} write-off error:`, err);
+      continue;
+    } finally {
+      conn.release();
+    }
+
+    if (!adjustment) continue;
+
+    const label = batch.variant_name ? `${batch.product_name} (${batch.variant_name})` : batch.product_name;
+    await sendNotification(
+      "spoilage",
+      batch.product_id,
+      `${writtenOff} of '${label}' expired and were written off (batch #${batch.id}).`
+    );
+    if (batch.variant_id) {
+      await variantLowStockNotification({ id: batch.variant_id }, adjustment.previous_stock);
+    } else {
+      await lowStockNotification({ id: batch.product_id }, adjustment.previous_stock);
+    }
+  }
+};
+
+// Guest carts nobody has touched in CART_TTL_DAYS; account carts are kept
+const pruneAbandonedCarts = async () => {
+  await db.query(
+    "DELETE FROM carts WHERE user_id IS NULL AND updated_at < NOW() - INTERVAL ? DAY",
+    [CART_TTL_DAYS]
+  );
+};
+
+const OUTBOX_INTERVAL_SECONDS = process.env.OUTBOX_INTERVAL_SECONDS
+  ? parseInt(process.env.OUTBOX_INTERVAL_SECONDS)
+  : 60;
+
+const sendOutboxMessages = () => outbox.processDue();
+
+const pruneOldNotifications = async () => {
+  await db.query(
+    "DELETE FROM notifications WHERE created_at < NOW() - INTERVAL ? DAY",
+    [NOTIFICATION_RETENTION_DAYS]
+  );
+};
+
+// A run still going when the next tick comes is left to finish; the tick is skipped
+const runScheduledJob = (name, job) => {
+  let running = false;
+  return async () => {
+    if (running) return;
+    running = true;
+    try {
+      await job();
+    } catch (err) {
+      console.error(`Scheduled job ${name} error:`, err);
+    } finally {
+      running = false;
+    }
+  };
+};
+
+// One wrapper per job, shared by the interval and any caller that kicks it off early,
+// so they all skip while a run is going
+const expireBatches = runScheduledJob("batch-expiry", writeOffExpiredBatches);
+const sendOutbox = runScheduledJob("outbox", sendOutboxMessages);
+
+setInterval(expireBatches, BATCH_EXPIRY_INTERVAL_MINUTES * 60 * 1000);
+setInterval(runScheduledJob("cart-pruning", pruneAbandonedCarts), 24 * 60 * 60 * 1000);
+setInterval(runScheduledJob("notification-pruning", pruneOldNotifications), 24 * 60 * 60 * 1000);
+setInterval(sendOutbox, OUTBOX_INTERVAL_SECONDS * 1000);
+
+// Batches that expired while the server was down are written off now, not at the first interval
+expireBatches();
 
 // Start server
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+// Through httpServer so Socket.IO shares the port
+httpServer.listen(PORT, () => console.log(`Server running on port ${PORT}`));
@@ -0,0 +1,52 @@
+import fs from "fs";
+import path from "path";
+import nodemailer from "nodemailer";
+
+// Mail transports, selected with MAIL_DRIVER (console | file | smtp)
+// Every driver exposes send({ to, subject, text, html })
+
+const consoleDriver = () => ({
+  async send({ to, subject, text }) {
+    console.log(`[mail] To: ${to}\n[mail] Subject: ${subject}\n${text}`);
+  }
+});
+
+const fileDriver = (dir) => ({
+  async send(message) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const safeTo = String(message.to).replace(/[^a-z0-9@._-]/gi, "_");
+    const file = path.join(dir, `${Date.now()}-${safeTo}.json`);
+    await fs.promises.writeFile(file, JSON.stringify({ ...message, sent_at: new Date() }, null, 2));
+    console.log(`[mail] Written to ${file}`);
+  }
+});
+
+const smtpDriver = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: process.env.SMTP_PORT ? parseInt(process.env.SMTP_PORT) : 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    async send({ to, subject, text, html }) {
+      await transporter.sendMail({ from: process.env.MAIL_FROM, to, subject, text, html });
+    }
+  };
+};
+
+export const createMailer = (driver = process.env.MAIL_DRIVER || "console") => {
+  switch (driver) {
+    case "console":
+      return consoleDriver();
+    case "file":
+      return fileDriver(process.env.MAIL_DIR || path.resolve("mail-outbox"));
+    case "smtp":
+      return smtpDriver();
+    default:
+      throw new Error(`Unknown MAIL_DRIVER: ${driver}`);
+  }
+};
@@ -0,0 +1,49 @@
+// Customer messages for order events, one renderer per channel.
+// context: { customer_name, order_id, total, currency, status, delivery_date, recipient_name }
+
+const SHOP_NAME = process.env.SHOP_NAME || "Camarcl Flowershop";
+
+const money = ({ total, currency }) => `${currency} ${Number(total).toFixed(2)}`;
+const statusLabel = (status) => status.replace(/_/g, " ");
+
+export const TEMPLATES = {
+  order_placed: {
+    email: (c) => ({
+      subject: `We received your order #${c.order_id}`,
+      text: `Hi ${c.customer_name},\n\nThank you for ordering from ${SHOP_NAME}! Your order #${c.order_id} ` +
+        `(${money(c)}) is scheduled for delivery to ${c.recipient_name} on ${c.delivery_date}.\n\n` +
+        `We'll let you know as it makes its way.\n\n${SHOP_NAME}`
+    }),
+    sms: (c) => ({
+      text: `${SHOP_NAME}: we received order #${c.order_id} (${money(c)}) for delivery on ${c.delivery_date}.`
+    })
+  },
+
+  order_status_changed: {
+    email: (c) => ({
+      subject: `Order #${c.order_id} is now ${statusLabel(c.status)}`,
+      text: `Hi ${c.customer_name},\n\nYour order #${c.order_id} is now ${statusLabel(c.status)}.\n\n${SHOP_NAME}`
+    }),
+    sms: (c) => ({
+      text: `${SHOP_NAME}: order #${c.order_id} is now ${statusLabel(c.status)}.`
+    })
+  },
+
+  order_delivered: {
+    email: (c) => ({
+      subject: `Order #${c.order_id} has been delivered`,
+      text: `Hi ${c.customer_name},\n\nGood news: your flowers for ${c.recipient_name} were delivered. ` +
+        `Thank you for choosing ${SHOP_NAME}!\n\n${SHOP_NAME}`
+    }),
+    sms: (c) => ({
+      text: `${SHOP_NAME}: order #${c.order_id} for ${c.recipient_name} has been delivered. Thank you!`
+    })
+  }
+};
+
+// Returns { subject?, text }
+export const renderMessage = (template, channel, context) => {
+  const render = TEMPLATES[template]?.[channel];
+  if (!render) throw new Error(`No ${channel} template for ${template}`);
+  return render(context);
+};
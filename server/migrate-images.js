@@ -1,22 +1,32 @@
 import fs from "fs";
 import path from "path";
 import mysql from "mysql2/promise";
-import { v2 as cloudinary } from "cloudinary";
 import dotenv from "dotenv";
 import { fileURLToPath } from "url";
+import { STORAGE_DRIVERS, getStorageDriver } from "./storage/index.js";
 
 dotenv.config();
 
-// ES module __dirname workaround
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Moves product images between storage drivers:
+//   node server/migrate-images.js --from cloudinary --to local [--delete-source] [--dry-run]
+// or uploads the files of the old uploads folder (server/server/uploads) to a driver,
+// repointing the products whose image_url names the file:
+//   node server/migrate-images.js --from legacy --to cloudinary [--dry-run]
 
-// Cloudinary config
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LEGACY_SOURCE = "legacy";
+const LEGACY_UPLOADS_DIR = path.join(__dirname, "server", "uploads");
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? null : args[index + 1];
+};
+
+const from = option("from");
+const to = option("to");
+const deleteSource = args.includes("--delete-source");
+const dryRun = args.includes("--dry-run");
 
 // Database config
 const db = mysql.createPool({
@@ -29,39 +39,117 @@ const db = mysql.createPool({
   connectionLimit: 10,
 });
 
-// Folder where images are
-const uploadsFolder = path.join(__dirname, "server/uploads"); // since migrate-images.js is inside server/
+// Uploads every file in the legacy folder and points matching gallery rows and products at it
+async function migrateLegacyUploads(target) {
+  const files = fs.readdirSync(LEGACY_UPLOADS_DIR);
+  console.log(`Found ${files.length} files in ${LEGACY_UPLOADS_DIR}.`);
+
+  let moved = 0;
+  for (const file of files) {
+    const pattern = `%/${file}`;
+    const [[{ matches }]] = await db.query(
+      `SELECT (SELECT COUNT(*) FROM product_images WHERE image_url LIKE ?)
+         + (SELECT COUNT(*) FROM products WHERE image_url LIKE ?) AS matches`,
+      [pattern, pattern]
+    );
+    if (!Number(matches)) {
+      console.log(`Skipped ${file}: no product uses it`);
+      continue;
+    }
+    if (dryRun) {
+      console.log(`Would move ${file}`);
+      continue;
+    }
+
+    try {
+      const buffer = fs.readFileSync(path.join(LEGACY_UPLOADS_DIR, file));
+      const saved = await target.save(buffer, { folder: "products", filename: file });
+      for (const table of ["product_images", "products"]) {
+        await db.query(
+          `UPDATE ${table} SET image_url=?, image_storage=?, image_asset_id=? WHERE image_url LIKE ?`,
+          [saved.url, target.name, saved.asset_id, pattern]
+        );
+      }
+      moved++;
+      console.log(`Moved ${file} → ${saved.url}`);
+    } catch (err) {
+      console.error(`Failed ${file}:`, err.message);
+    }
+  }
+  console.log(`${dryRun ? "Dry run complete" : `Moved ${moved} of ${files.length} files`}!`);
+}
 
 async function main() {
+  const sources = [...STORAGE_DRIVERS, LEGACY_SOURCE];
+  if (!sources.includes(from) || !STORAGE_DRIVERS.includes(to) || from === to) {
+    console.error(`Usage: node server/migrate-images.js --from <${sources.join("|")}> --to <${STORAGE_DRIVERS.join("|")}> [--delete-source] [--dry-run]`);
+    process.exit(1);
+  }
+
+  if (from === LEGACY_SOURCE) {
+    try {
+      await migrateLegacyUploads(getStorageDriver(to));
+      process.exit(0);
+    } catch (err) {
+      console.error("Error:", err);
+      process.exit(1);
+    }
+  }
+
   try {
-    const files = fs.readdirSync(uploadsFolder);
-    console.log(`Found ${files.length} files in uploads folder.`);
-
-    for (const file of files) {
-      const localPath = path.join(uploadsFolder, file);
-
-      // Upload to Cloudinary
-      const result = await cloudinary.uploader.upload(localPath, {
-        folder: "products",
-        resource_type: "image",
-      });
-
-      console.log(`Uploaded: ${file} → ${result.secure_url}`);
-
-      // Update DB for matching file
-      const [updateResult] = await db.query(
-        "UPDATE products SET image_url=? WHERE image_url LIKE ?",
-        [result.secure_url, `%${file}%`]
-      );
-
-      if (updateResult.affectedRows > 0) {
-        console.log(`DB updated for: ${file}`);
-      } else {
-        console.log(`No DB entry found for: ${file}`);
+    const source = getStorageDriver(from);
+    const target = getStorageDriver(to);
+
+    // Rows with no image_storage but a Cloudinary URL predate the storage layer.
+    // External images are left alone.
+    const [images] = await db.query(
+      `SELECT pi.id, pi.product_id, p.name, pi.image_url, pi.image_storage, pi.image_asset_id
+       FROM product_images pi
+       JOIN products p ON p.id = pi.product_id
+       WHERE IFNULL(pi.image_storage, IF(pi.image_url LIKE '%res.cloudinary.com%', 'cloudinary', NULL)) = ?`,
+      [from]
+    );
+    console.log(`Found ${images.length} ${from} images.`);
+
+    let moved = 0;
+    for (const image of images) {
+      const label = `image #${image.id} of ${image.name}`;
+      const assetId = image.image_asset_id || source.assetIdFromUrl(image.image_url);
+      if (!assetId) {
+        console.log(`Skipped ${label}: cannot determine asset id for ${image.image_url}`);
+        continue;
+      }
+
+      if (dryRun) {
+        console.log(`Would move ${label}: ${image.image_url}`);
+        continue;
+      }
+
+      try {
+        const buffer = await source.read({ url: image.image_url, asset_id: assetId });
+        const filename = assetId.split("/").pop() + (image.image_url.match(/\.[a-z0-9]+$/i)?.[0] || "");
+        const saved = await target.save(buffer, { folder: "products", filename });
+
+        await db.query(
+          "UPDATE product_images SET image_url=?, image_storage=?, image_asset_id=? WHERE id=?",
+          [saved.url, target.name, saved.asset_id, image.id]
+        );
+        // Keep the product's primary image columns in step with the gallery
+        await db.query(
+          `UPDATE products SET image_url=?, image_storage=?, image_asset_id=?
+           WHERE id=? AND image_url=?`,
+          [saved.url, target.name, saved.asset_id, image.product_id, image.image_url]
+        );
+        if (deleteSource) await source.remove(assetId);
+
+        moved++;
+        console.log(`Moved ${label} → ${saved.url}`);
+      } catch (err) {
+        console.error(`Failed ${label}:`, err.message);
       }
     }
 
-    console.log("All images processed!");
+    console.log(`${dryRun ? "Dry run complete" : `Moved ${moved} of ${images.length} images`}!`);
     process.exit(0);
   } catch (err) {
     console.error("Error:", err);
@@ -70,4 +158,3 @@ async function main() {
 }
 
 main();
-
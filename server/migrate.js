@@ -0,0 +1,59 @@
+import fs from "fs";
+import path from "path";
+import mysql from "mysql2/promise";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+
+dotenv.config();
+
+// ES module __dirname workaround
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Database config
+const db = mysql.createPool({
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  port: process.env.DB_PORT ? parseInt(process.env.DB_PORT) : 3306,
+  waitForConnections: true,
+  connectionLimit: 1,
+  multipleStatements: true
+});
+
+// Numbered .sql files, applied once each in filename order
+const migrationsFolder = path.join(__dirname, "migrations");
+
+async function main() {
+  try {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        name VARCHAR(255) PRIMARY KEY,
+        applied_at DATETIME NOT NULL
+      )
+    `);
+
+    const [appliedRows] = await db.query("SELECT name FROM schema_migrations");
+    const applied = new Set(appliedRows.map(r => r.name));
+
+    const files = fs.readdirSync(migrationsFolder).filter(f => f.endsWith(".sql")).sort();
+
+    for (const file of files) {
+      if (applied.has(file)) continue;
+
+      const sql = fs.readFileSync(path.join(migrationsFolder, file), "utf8");
+      await db.query(sql);
+      await db.query("INSERT INTO schema_migrations (name, applied_at) VALUES (?, NOW())", [file]);
+      console.log(`Applied: ${file}`);
+    }
+
+    console.log("Migrations up to date!");
+    process.exit(0);
+  } catch (err) {
+    console.error("Migration error:", err);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,10 @@
+-- One account per email, since customers sign in with it. Fails if the table already holds
+-- duplicate emails; merge or rename those accounts first. Runs before the orders change so
+-- a failure here leaves nothing half-applied.
+ALTER TABLE users ADD UNIQUE KEY uniq_users_email (email);
+
+-- Link orders to customer accounts; user_name stays as a snapshot of the name at checkout
+ALTER TABLE orders
+  ADD COLUMN user_id INT NULL AFTER id,
+  ADD KEY idx_orders_user (user_id),
+  ADD CONSTRAINT fk_orders_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL;
@@ -0,0 +1,2 @@
+-- Full-text search for GET /products?search=
+ALTER TABLE products ADD FULLTEXT KEY ft_products_search (name, description);
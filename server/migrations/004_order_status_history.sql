@@ -0,0 +1,29 @@
+-- Move legacy free-text statuses onto the lifecycle values
+ALTER TABLE orders MODIFY status VARCHAR(32) NOT NULL DEFAULT 'pending';
+
+-- Later lines win, so "Cancelled/Returned" ends up cancelled
+UPDATE orders SET status = 'pending' WHERE LOWER(status) LIKE '%pending%';
+UPDATE orders SET status = 'confirmed' WHERE LOWER(status) LIKE '%confirmed%';
+UPDATE orders SET status = 'preparing' WHERE LOWER(status) LIKE '%preparing%' OR LOWER(status) LIKE '%processing%';
+UPDATE orders SET status = 'out_for_delivery'
+  WHERE LOWER(REPLACE(REPLACE(status, '-', ' '), '_', ' ')) LIKE '%out for delivery%' OR LOWER(status) LIKE '%shipped%';
+UPDATE orders SET status = 'delivered' WHERE LOWER(status) LIKE '%delivered%' OR LOWER(status) LIKE '%completed%';
+UPDATE orders SET status = 'returned' WHERE LOWER(status) LIKE '%returned%';
+UPDATE orders SET status = 'cancelled' WHERE LOWER(status) LIKE '%cancelled%' OR LOWER(status) LIKE '%canceled%';
+
+-- Anything else was typed by hand and has no lifecycle meaning: start it over as pending
+UPDATE orders SET status = 'pending'
+  WHERE status NOT IN ('pending', 'confirmed', 'preparing', 'out_for_delivery', 'delivered', 'cancelled', 'returned');
+
+CREATE TABLE IF NOT EXISTS order_status_history (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  from_status VARCHAR(32) NULL,
+  to_status VARCHAR(32) NOT NULL,
+  changed_by INT NULL,
+  note VARCHAR(255) NULL,
+  changed_at DATETIME NOT NULL,
+  KEY idx_order_status_history_order (order_id),
+  CONSTRAINT fk_order_status_history_order FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+  CONSTRAINT fk_order_status_history_user FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL
+);
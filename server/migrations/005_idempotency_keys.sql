@@ -0,0 +1,13 @@
+-- Responses of POST /orders keyed by the client's Idempotency-Key header
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  idem_key VARCHAR(255) NOT NULL,
+  request_hash CHAR(64) NOT NULL,
+  order_id INT NULL,
+  response_status SMALLINT NULL,
+  response_body TEXT NULL,
+  created_at DATETIME NOT NULL,
+  UNIQUE KEY uq_idempotency_keys_key (idem_key),
+  KEY idx_idempotency_keys_created (created_at),
+  CONSTRAINT fk_idempotency_keys_order FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL
+);
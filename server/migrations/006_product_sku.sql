@@ -0,0 +1,4 @@
+-- Stable identifier for spreadsheet imports
+ALTER TABLE products
+  ADD COLUMN sku VARCHAR(64) NULL AFTER id,
+  ADD UNIQUE KEY uq_products_sku (sku);
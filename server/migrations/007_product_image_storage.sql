@@ -0,0 +1,8 @@
+-- Which storage driver holds the image and the driver's own id for it
+ALTER TABLE products
+  ADD COLUMN image_storage VARCHAR(32) NULL AFTER image_url,
+  ADD COLUMN image_asset_id VARCHAR(255) NULL AFTER image_storage;
+
+UPDATE products SET image_storage = 'cloudinary' WHERE image_url LIKE '%res.cloudinary.com%';
+-- Everything else was linked from elsewhere
+UPDATE products SET image_storage = 'external' WHERE image_url IS NOT NULL AND image_storage IS NULL;
@@ -0,0 +1,18 @@
+-- Photo gallery per product; products.image_url mirrors the primary image
+CREATE TABLE IF NOT EXISTS product_images (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  product_id INT NOT NULL,
+  image_url VARCHAR(1024) NOT NULL,
+  image_storage VARCHAR(32) NULL,
+  image_asset_id VARCHAR(255) NULL,
+  position INT NOT NULL DEFAULT 0,
+  is_primary TINYINT(1) NOT NULL DEFAULT 0,
+  created_at DATETIME NOT NULL,
+  KEY idx_product_images_product (product_id, position),
+  CONSTRAINT fk_product_images_product FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+);
+
+INSERT INTO product_images (product_id, image_url, image_storage, image_asset_id, position, is_primary, created_at)
+SELECT id, image_url, image_storage, image_asset_id, 0, 1, NOW()
+FROM products
+WHERE image_url IS NOT NULL;
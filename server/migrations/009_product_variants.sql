@@ -0,0 +1,21 @@
+-- Sellable variants of a product (size, stem count, wrap color...), each with its own price and stock.
+-- For products with variants, products.stock holds the sum of the variant stock.
+CREATE TABLE IF NOT EXISTS product_variants (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  product_id INT NOT NULL,
+  sku VARCHAR(64) NULL,
+  name VARCHAR(255) NOT NULL,
+  attributes JSON NULL,
+  price DECIMAL(10, 2) NOT NULL,
+  stock INT NOT NULL DEFAULT 0,
+  position INT NOT NULL DEFAULT 0,
+  created_at DATETIME NOT NULL,
+  UNIQUE KEY uq_product_variants_sku (sku),
+  KEY idx_product_variants_product (product_id, position),
+  CONSTRAINT fk_product_variants_product FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+);
+
+ALTER TABLE order_items
+  ADD COLUMN variant_id INT NULL AFTER product_id,
+  ADD COLUMN variant_name VARCHAR(255) NULL AFTER product_name,
+  ADD KEY idx_order_items_variant (variant_id);
@@ -0,0 +1,26 @@
+-- Reorder thresholds: per product, falling back to a per-category default, then LOW_STOCK_THRESHOLD
+ALTER TABLE products ADD COLUMN reorder_threshold INT NULL AFTER stock;
+
+CREATE TABLE IF NOT EXISTS category_thresholds (
+  category VARCHAR(255) PRIMARY KEY,
+  reorder_threshold INT NOT NULL,
+  updated_at DATETIME NOT NULL
+);
+
+-- Ledger of manual stock changes
+CREATE TABLE IF NOT EXISTS stock_adjustments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  product_id INT NOT NULL,
+  variant_id INT NULL,
+  reason VARCHAR(32) NOT NULL,
+  quantity_change INT NOT NULL,
+  previous_stock INT NOT NULL,
+  new_stock INT NOT NULL,
+  note VARCHAR(255) NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL,
+  KEY idx_stock_adjustments_product (product_id, created_at),
+  CONSTRAINT fk_stock_adjustments_product FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+  CONSTRAINT fk_stock_adjustments_variant FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE SET NULL,
+  CONSTRAINT fk_stock_adjustments_user FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
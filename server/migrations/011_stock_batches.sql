@@ -0,0 +1,32 @@
+-- Perishable stock received in batches. products/product_variants.stock stays the total;
+-- stock not covered by open batches predates batch tracking.
+CREATE TABLE IF NOT EXISTS stock_batches (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  product_id INT NOT NULL,
+  variant_id INT NULL,
+  quantity_received INT NOT NULL,
+  quantity_remaining INT NOT NULL,
+  received_at DATE NOT NULL,
+  expires_at DATE NOT NULL,
+  written_off_at DATETIME NULL,
+  written_off_quantity INT NULL,
+  note VARCHAR(255) NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL,
+  KEY idx_stock_batches_product (product_id, variant_id, received_at),
+  KEY idx_stock_batches_expiry (expires_at, written_off_at),
+  CONSTRAINT fk_stock_batches_product FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+  CONSTRAINT fk_stock_batches_variant FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+  CONSTRAINT fk_stock_batches_user FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Which batches each order drew from, so cancellations can put stock back
+CREATE TABLE IF NOT EXISTS order_batch_allocations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  batch_id INT NOT NULL,
+  quantity INT NOT NULL,
+  KEY idx_order_batch_allocations_order (order_id),
+  CONSTRAINT fk_order_batch_allocations_order FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+  CONSTRAINT fk_order_batch_allocations_batch FOREIGN KEY (batch_id) REFERENCES stock_batches(id) ON DELETE CASCADE
+);
@@ -0,0 +1,28 @@
+-- Delivery windows offered every day (or on the listed weekdays, 0 = Sunday)
+CREATE TABLE IF NOT EXISTS delivery_slots (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  label VARCHAR(100) NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  capacity INT NOT NULL,
+  days_of_week VARCHAR(20) NULL,
+  active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at DATETIME NOT NULL
+);
+
+-- Dates with no deliveries at all
+CREATE TABLE IF NOT EXISTS delivery_blackout_dates (
+  blackout_date DATE PRIMARY KEY,
+  reason VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL
+);
+
+ALTER TABLE orders
+  ADD COLUMN recipient_name VARCHAR(255) NULL,
+  ADD COLUMN recipient_phone VARCHAR(50) NULL,
+  ADD COLUMN delivery_address TEXT NULL,
+  ADD COLUMN card_message TEXT NULL,
+  ADD COLUMN delivery_date DATE NULL,
+  ADD COLUMN delivery_slot_id INT NULL,
+  ADD KEY idx_orders_delivery (delivery_date, delivery_slot_id),
+  ADD CONSTRAINT fk_orders_delivery_slot FOREIGN KEY (delivery_slot_id) REFERENCES delivery_slots(id);
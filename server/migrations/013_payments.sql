@@ -0,0 +1,65 @@
+-- Move legacy free-text payment modes onto the known values
+UPDATE orders SET payment_mode = 'cash_on_delivery'
+  WHERE LOWER(payment_mode) IN ('cod', 'cash', 'cash on delivery', 'cash_on_delivery');
+UPDATE orders SET payment_mode = 'card'
+  WHERE LOWER(payment_mode) IN ('card', 'online', 'credit card', 'debit card');
+UPDATE orders SET payment_mode = 'e_wallet'
+  WHERE LOWER(payment_mode) IN ('gcash', 'g-cash', 'maya', 'paymaya', 'grabpay', 'e-wallet', 'ewallet', 'e_wallet');
+
+-- unpaid, authorized, paid, failed, refund_pending, refunded
+ALTER TABLE orders
+  ADD COLUMN payment_status VARCHAR(20) NOT NULL DEFAULT 'unpaid',
+  ADD KEY idx_orders_payment_status (payment_status);
+
+-- Existing delivered orders were settled outside the app
+UPDATE orders SET payment_status = 'paid' WHERE status = 'delivered';
+
+-- One row per payment intent with the provider
+CREATE TABLE IF NOT EXISTS payments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  provider VARCHAR(32) NOT NULL,
+  provider_ref VARCHAR(255) NOT NULL,
+  client_secret VARCHAR(255) NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  currency CHAR(3) NOT NULL,
+  status VARCHAR(20) NOT NULL,
+  created_at DATETIME NOT NULL,
+  updated_at DATETIME NOT NULL,
+  UNIQUE KEY uniq_payments_provider_ref (provider, provider_ref),
+  KEY idx_payments_order (order_id),
+  CONSTRAINT fk_payments_order FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS refunds (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  payment_id INT NOT NULL,
+  order_id INT NOT NULL,
+  provider_ref VARCHAR(255) NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  status VARCHAR(20) NOT NULL,
+  reason VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL,
+  updated_at DATETIME NOT NULL,
+  KEY idx_refunds_payment (payment_id),
+  KEY idx_refunds_order (order_id),
+  CONSTRAINT fk_refunds_payment FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE CASCADE,
+  CONSTRAINT fk_refunds_order FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE
+);
+
+-- Providers retry webhooks; processed event ids are remembered so each applies once
+CREATE TABLE IF NOT EXISTS payment_webhook_events (
+  provider VARCHAR(32) NOT NULL,
+  event_id VARCHAR(255) NOT NULL,
+  type VARCHAR(64) NOT NULL,
+  received_at DATETIME NOT NULL,
+  PRIMARY KEY (provider, event_id)
+);
+
+-- Cash already collected for delivered orders, so returning them queues a refund.
+-- Orders carried no currency before this migration; they are assumed to be in PHP, the
+-- default PAYMENT_CURRENCY. Shops that ran in another currency should update these rows.
+INSERT INTO payments (order_id, provider, provider_ref, client_secret, amount, currency, status, created_at, updated_at)
+  SELECT id, 'cash', CONCAT('cod_', id), NULL, total, 'PHP', 'succeeded', NOW(), NOW()
+  FROM orders
+  WHERE status = 'delivered' AND payment_mode = 'cash_on_delivery';
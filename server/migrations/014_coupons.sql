@@ -0,0 +1,53 @@
+CREATE TABLE IF NOT EXISTS coupons (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(50) NOT NULL,
+  description VARCHAR(255) NULL,
+  discount_type VARCHAR(10) NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  min_subtotal DECIMAL(10,2) NULL,
+  usage_limit INT NULL,
+  per_customer_limit INT NULL,
+  starts_at DATETIME NULL,
+  ends_at DATETIME NULL,
+  active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at DATETIME NOT NULL,
+  updated_at DATETIME NOT NULL,
+  UNIQUE KEY uniq_coupons_code (code)
+);
+
+-- A coupon with no product or category rows applies to the whole cart
+CREATE TABLE IF NOT EXISTS coupon_products (
+  coupon_id INT NOT NULL,
+  product_id INT NOT NULL,
+  PRIMARY KEY (coupon_id, product_id),
+  CONSTRAINT fk_coupon_products_coupon FOREIGN KEY (coupon_id) REFERENCES coupons(id) ON DELETE CASCADE,
+  CONSTRAINT fk_coupon_products_product FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS coupon_categories (
+  coupon_id INT NOT NULL,
+  category VARCHAR(255) NOT NULL,
+  PRIMARY KEY (coupon_id, category),
+  CONSTRAINT fk_coupon_categories_coupon FOREIGN KEY (coupon_id) REFERENCES coupons(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS coupon_redemptions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  coupon_id INT NOT NULL,
+  order_id INT NOT NULL,
+  user_id INT NULL,
+  discount DECIMAL(10,2) NOT NULL,
+  created_at DATETIME NOT NULL,
+  UNIQUE KEY uniq_coupon_redemptions_order (order_id),
+  KEY idx_coupon_redemptions_coupon (coupon_id),
+  CONSTRAINT fk_coupon_redemptions_coupon FOREIGN KEY (coupon_id) REFERENCES coupons(id),
+  CONSTRAINT fk_coupon_redemptions_order FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE
+);
+
+-- total stays the amount charged; subtotal is before the discount
+ALTER TABLE orders
+  ADD COLUMN subtotal DECIMAL(10,2) NULL,
+  ADD COLUMN discount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  ADD COLUMN coupon_code VARCHAR(50) NULL;
+
+UPDATE orders SET subtotal = total WHERE subtotal IS NULL;
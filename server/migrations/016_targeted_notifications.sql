@@ -0,0 +1,6 @@
+-- Notifications addressed to one user (customers' own order updates); NULL means the staff feed
+ALTER TABLE notifications
+  ADD COLUMN user_id INT NULL,
+  ADD COLUMN data JSON NULL,
+  ADD KEY idx_notifications_user (user_id, id),
+  ADD CONSTRAINT fk_notifications_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
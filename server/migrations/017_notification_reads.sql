@@ -0,0 +1,19 @@
+-- Read state per user instead of the single notifications.isRead flag
+CREATE TABLE IF NOT EXISTS notification_reads (
+  notification_id INT NOT NULL,
+  user_id INT NOT NULL,
+  read_at DATETIME NOT NULL,
+  PRIMARY KEY (notification_id, user_id),
+  KEY idx_notification_reads_user (user_id),
+  CONSTRAINT fk_notification_reads_notification FOREIGN KEY (notification_id) REFERENCES notifications(id) ON DELETE CASCADE,
+  CONSTRAINT fk_notification_reads_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Anything already marked read stays read for everyone who could see it
+INSERT IGNORE INTO notification_reads (notification_id, user_id, read_at)
+  SELECT n.id, u.id, NOW()
+  FROM notifications n
+  JOIN users u ON (n.user_id IS NULL AND u.role IN ('admin', 'staff')) OR u.id = n.user_id
+  WHERE n.isRead = 1;
+
+ALTER TABLE notifications ADD KEY idx_notifications_created (created_at);
@@ -0,0 +1,28 @@
+-- Customer emails and texts waiting to be sent, sent, or given up on
+CREATE TABLE IF NOT EXISTS outbound_messages (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  channel VARCHAR(16) NOT NULL,
+  recipient VARCHAR(255) NOT NULL,
+  subject VARCHAR(255) NULL,
+  body TEXT NOT NULL,
+  template VARCHAR(64) NOT NULL,
+  order_id INT NULL,
+  user_id INT NULL,
+  status VARCHAR(16) NOT NULL,
+  attempts INT NOT NULL DEFAULT 0,
+  last_error VARCHAR(1000) NULL,
+  next_attempt_at DATETIME NOT NULL,
+  claimed_at DATETIME NULL,
+  sent_at DATETIME NULL,
+  created_at DATETIME NOT NULL,
+  KEY idx_outbound_messages_due (status, next_attempt_at),
+  KEY idx_outbound_messages_order (order_id),
+  KEY idx_outbound_messages_claimed (status, claimed_at),
+  CONSTRAINT fk_outbound_messages_order FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
+  CONSTRAINT fk_outbound_messages_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Customers can turn off either channel
+ALTER TABLE users
+  ADD COLUMN email_opt_out TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN sms_opt_out TINYINT(1) NOT NULL DEFAULT 0;
@@ -0,0 +1,18 @@
+-- Who changed what: one row per staff/admin change with the record before and after
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  actor_id INT NULL,
+  actor_name VARCHAR(255) NULL,
+  actor_role VARCHAR(32) NULL,
+  action VARCHAR(64) NOT NULL,
+  entity VARCHAR(32) NOT NULL,
+  entity_id INT NULL,
+  before_data JSON NULL,
+  after_data JSON NULL,
+  ip_address VARCHAR(64) NULL,
+  created_at DATETIME NOT NULL,
+  KEY idx_audit_log_entity (entity, entity_id, created_at),
+  KEY idx_audit_log_actor (actor_id, created_at),
+  KEY idx_audit_log_created (created_at),
+  CONSTRAINT fk_audit_log_actor FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL
+);
@@ -0,0 +1,8 @@
+-- Archived products and users are hidden but kept, so past orders and reports still resolve them
+ALTER TABLE products
+  ADD COLUMN archived_at DATETIME NULL,
+  ADD KEY idx_products_archived (archived_at);
+
+ALTER TABLE users
+  ADD COLUMN archived_at DATETIME NULL,
+  ADD KEY idx_users_archived (archived_at);
@@ -0,0 +1,34 @@
+// Order lifecycle: the statuses an order can be in and the moves allowed between them
+
+export const ORDER_STATUSES = [
+  "pending",
+  "confirmed",
+  "preparing",
+  "out_for_delivery",
+  "delivered",
+  "cancelled",
+  "returned"
+];
+
+export const ORDER_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["preparing", "cancelled"],
+  preparing: ["out_for_delivery", "cancelled"],
+  out_for_delivery: ["delivered", "returned"],
+  delivered: ["returned"],
+  cancelled: [],
+  returned: []
+};
+
+// Moving into these puts the ordered quantities back into stock
+export const RESTOCK_STATUSES = ["cancelled", "returned"];
+
+// "Out for delivery", "out-for-delivery" and "OUT_FOR_DELIVERY" all map to out_for_delivery.
+// Returns null for anything that isn't a known status.
+export const normalizeOrderStatus = (status) => {
+  if (typeof status !== "string") return null;
+  const key = status.trim().toLowerCase().replace(/[\s-]+/g, "_");
+  return ORDER_STATUSES.includes(key) ? key : null;
+};
+
+export const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
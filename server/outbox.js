@@ -0,0 +1,80 @@
+// Outgoing customer messages. Messages are stored first and delivered by processDue(),
+// so a provider outage delays them instead of losing them. Failed sends are retried with
+// an exponential backoff until OUTBOX_MAX_ATTEMPTS.
+
+export const OUTBOX_MAX_ATTEMPTS = process.env.OUTBOX_MAX_ATTEMPTS ? parseInt(process.env.OUTBOX_MAX_ATTEMPTS) : 5;
+
+const BATCH_SIZE = 50;
+
+// A row claimed longer ago than this is taken to belong to a run that died mid-send
+const STALE_CLAIM_MINUTES = 10;
+
+// Minutes to wait before the next attempt: 1, 2, 4, 8, ...
+const backoffMinutes = (attempts) => 2 ** Math.max(0, attempts - 1);
+
+// channels: { email: { send({ to, subject, text }) }, sms: { send({ to, text }) } }
+export const createOutbox = (db, channels) => ({
+  // message: { channel, recipient, subject, body, template, order_id, user_id }
+  async enqueue(message) {
+    if (!channels[message.channel]) throw new Error(`Unknown channel: ${message.channel}`);
+    const [result] = await db.query(
+      `INSERT INTO outbound_messages
+         (channel, recipient, subject, body, template, order_id, user_id, status, attempts, next_attempt_at, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', 0, NOW(), NOW())`,
+      [
+        message.channel, message.recipient, message.subject ?? null, message.body, message.template,
+        message.order_id ?? null, message.user_id ?? null
+      ]
+    );
+    return result.insertId;
+  },
+
+  // Sends whatever is due. Returns { sent, failed }.
+  async processDue() {
+    // Rows left mid-send by a crash go back in the queue
+    await db.query(
+      "UPDATE outbound_messages SET status='pending', claimed_at=NULL WHERE status='sending' AND claimed_at < NOW() - INTERVAL ? MINUTE",
+      [STALE_CLAIM_MINUTES]
+    );
+
+    const [due] = await db.query(
+      `SELECT * FROM outbound_messages
+       WHERE status='pending' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at, id
+       LIMIT ?`,
+      [BATCH_SIZE]
+    );
+
+    let sent = 0;
+    let failed = 0;
+    for (const message of due) {
+      // Claim the row so overlapping runs don't send it twice
+      const [claim] = await db.query(
+        "UPDATE outbound_messages SET status='sending', claimed_at=NOW(), attempts = attempts + 1 WHERE id=? AND status='pending'",
+        [message.id]
+      );
+      if (!claim.affectedRows) continue;
+
+      const attempts = message.attempts + 1;
+      try {
+        await channels[message.channel].send({ to: message.recipient, subject: message.subject, text: message.body });
+        await db.query(
+          "UPDATE outbound_messages SET status='sent', sent_at=NOW(), claimed_at=NULL, last_error=NULL WHERE id=?",
+          [message.id]
+        );
+        sent++;
+      } catch (err) {
+        const giveUp = attempts >= OUTBOX_MAX_ATTEMPTS;
+        await db.query(
+          `UPDATE outbound_messages
+           SET status=?, claimed_at=NULL, last_error=?, next_attempt_at = NOW() + INTERVAL ? MINUTE
+           WHERE id=?`,
+          [giveUp ? "failed" : "pending", String(err.message).slice(0, 1000), backoffMinutes(attempts), message.id]
+        );
+        console.error(`Outbox message #${message.id} (${message.channel}) attempt ${attempts} failed:`, err.message);
+        failed++;
+      }
+    }
+    return { sent, failed };
+  }
+});
@@ -0,0 +1,48 @@
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters; stored with each hash so they can be raised later
+const N = 16384;
+const r = 8;
+const p = 1;
+const KEY_LENGTH = 64;
+
+// Stored format: scrypt$N$r$p$salt$hash
+export const isHashed = (stored) => typeof stored === "string" && stored.startsWith("scrypt$");
+
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const key = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+  return `scrypt$${N}$${r}$${p}$${salt}$${key.toString("hex")}`;
+};
+
+export const verifyPassword = async (password, stored) => {
+  if (!isHashed(stored)) return false;
+
+  const [, cost, blockSize, parallelization, salt, hash] = stored.split("$");
+  const expected = Buffer.from(hash, "hex");
+  const key = await scrypt(password, salt, expected.length, {
+    N: Number(cost),
+    r: Number(blockSize),
+    p: Number(parallelization)
+  });
+  return crypto.timingSafeEqual(key, expected);
+};
+
+// Plain-text rows from before hashing was introduced
+export const verifyLegacyPassword = (password, stored) => {
+  if (typeof stored !== "string" || isHashed(stored)) return false;
+  const a = Buffer.from(password);
+  const b = Buffer.from(stored);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Reset tokens: the raw token is emailed, only its SHA-256 is stored
+export const generateResetToken = () => {
+  const token = crypto.randomBytes(32).toString("hex");
+  return { token, tokenHash: hashResetToken(token) };
+};
+
+export const hashResetToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
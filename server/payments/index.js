@@ -0,0 +1,98 @@
+import { createMockProvider } from "./mock.js";
+
+// Payment providers. Every provider exposes:
+//   createIntent({ amount, currency, metadata }) -> { id, status, client_secret }
+//   capture(intentId, amount) -> { status }
+//   cancel(intentId) -> { status }
+//   refund(intentId, amount) -> { id, status }
+//   verifyWebhook(rawBody, headers) -> event { id, type, data } | null when the signature is bad
+
+export const PAYMENT_PROVIDERS = ["mock"];
+
+export const DEFAULT_PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || "mock";
+
+export const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || "PHP";
+
+// How the customer pays. Only online payments go through a provider.
+export const PAYMENT_MODES = ["cash_on_delivery", "card", "e_wallet"];
+export const ONLINE_PAYMENT_MODES = ["card", "e_wallet"];
+
+// Cash collected on delivery is recorded as a payment from this pseudo-provider so returns
+// can be refunded like any other payment. Staff hand the money back and confirm it with
+// POST /refunds/:id/complete.
+export const CASH_PROVIDER = "cash";
+
+// Free-text modes the storefront sent before payments were tracked
+const PAYMENT_MODE_ALIASES = {
+  cod: "cash_on_delivery",
+  cash: "cash_on_delivery",
+  online: "card",
+  credit_card: "card",
+  debit_card: "card",
+  gcash: "e_wallet",
+  g_cash: "e_wallet",
+  maya: "e_wallet",
+  paymaya: "e_wallet",
+  grabpay: "e_wallet",
+  ewallet: "e_wallet"
+};
+
+// "Cash on delivery", "COD" and "cash" all map to cash_on_delivery. Returns null for unknown modes.
+export const normalizePaymentMode = (mode) => {
+  if (typeof mode !== "string") return null;
+  const key = mode.trim().toLowerCase().replace(/[\s-]+/g, "_");
+  if (PAYMENT_MODES.includes(key)) return key;
+  return PAYMENT_MODE_ALIASES[key] || null;
+};
+
+// Lifecycle of a payments row; webhooks can arrive out of order so moves are one-way
+export const PAYMENT_TRANSITIONS = {
+  requires_payment: ["authorized", "succeeded", "failed", "cancelled"],
+  authorized: ["succeeded", "failed", "cancelled"],
+  failed: ["authorized", "succeeded", "cancelled"],
+  succeeded: [],
+  cancelled: []
+};
+
+export const canTransitionPayment = (from, to) => (PAYMENT_TRANSITIONS[from] || []).includes(to);
+
+// orders.payment_status mirrors the latest payment, plus the refund states
+export const ORDER_PAYMENT_STATUS = {
+  requires_payment: "unpaid",
+  authorized: "authorized",
+  succeeded: "paid",
+  failed: "failed",
+  cancelled: "unpaid"
+};
+
+// Lets staff simulate customer payments on the mock provider (POST /payments/mock/:id/:outcome)
+export const PAYMENT_SIMULATOR_ENABLED = process.env.PAYMENT_SIMULATOR === "true";
+
+// Webhooks are only as trustworthy as their secret, so there is no default. Without one the
+// shop takes cash on delivery only.
+export const ONLINE_PAYMENTS_ENABLED = Boolean(process.env.PAYMENT_WEBHOOK_SECRET);
+
+const providers = new Map();
+
+const requireWebhookSecret = () => {
+  if (!ONLINE_PAYMENTS_ENABLED) throw new Error("PAYMENT_WEBHOOK_SECRET must be set for online payments");
+  return process.env.PAYMENT_WEBHOOK_SECRET;
+};
+
+export const getPaymentProvider = (name = DEFAULT_PAYMENT_PROVIDER) => {
+  if (!providers.has(name)) {
+    switch (name) {
+      case "mock":
+        providers.set(name, createMockProvider({ webhookSecret: requireWebhookSecret() }));
+        break;
+      default:
+        throw new Error(`Unknown PAYMENT_PROVIDER: ${name}`);
+    }
+  }
+  return providers.get(name);
+};
+
+// Fails on an unknown provider, or on a provider named in PAYMENT_PROVIDER without a webhook secret
+export const checkPaymentConfig = () => {
+  if (process.env.PAYMENT_PROVIDER || ONLINE_PAYMENTS_ENABLED) getPaymentProvider();
+};
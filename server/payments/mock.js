@@ -0,0 +1,62 @@
+import crypto from "crypto";
+
+// Stand-in provider for development and tests. It keeps no state of its own: every call
+// succeeds, and "customer paid" is simulated by sending a signed webhook (see buildWebhook).
+// Webhooks carry a `mock-signature: t=<unix seconds>,v1=<hmac-sha256 of "t.body">` header.
+
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+export const createMockProvider = ({ webhookSecret }) => {
+  const newId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString("hex")}`;
+
+  const sign = (payload, timestamp) =>
+    crypto.createHmac("sha256", webhookSecret).update(`${timestamp}.${payload}`).digest("hex");
+
+  return {
+    name: "mock",
+
+    async createIntent() {
+      const id = newId("mock_pi");
+      return { id, status: "requires_payment", client_secret: `${id}_secret_${crypto.randomBytes(8).toString("hex")}` };
+    },
+
+    async capture() {
+      return { status: "succeeded" };
+    },
+
+    async cancel() {
+      return { status: "cancelled" };
+    },
+
+    async refund() {
+      return { id: newId("mock_re"), status: "succeeded" };
+    },
+
+    verifyWebhook(rawBody, headers) {
+      const header = headers["mock-signature"];
+      if (!rawBody || typeof header !== "string") return null;
+
+      const parts = Object.fromEntries(header.split(",").map(part => part.trim().split("=")));
+      const timestamp = Number(parts.t);
+      if (!Number.isInteger(timestamp) || !parts.v1) return null;
+      if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) return null;
+
+      const expected = Buffer.from(sign(rawBody.toString("utf8"), timestamp), "hex");
+      const received = Buffer.from(parts.v1, "hex");
+      if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+
+      try {
+        return JSON.parse(rawBody.toString("utf8"));
+      } catch {
+        return null;
+      }
+    },
+
+    // A signed event as the provider would deliver it: { payload, headers }
+    buildWebhook(type, data) {
+      const payload = JSON.stringify({ id: newId("mock_evt"), type, data });
+      const timestamp = Math.floor(Date.now() / 1000);
+      return { payload, headers: { "mock-signature": `t=${timestamp},v1=${sign(payload, timestamp)}` } };
+    }
+  };
+};
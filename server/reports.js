@@ -0,0 +1,141 @@
+import { RESTOCK_STATUSES } from "./orderStatus.js";
+
+// Sales reporting queries. Cancelled and returned orders are left out
+// unless include_cancelled=true is passed.
+
+const BUCKETS = {
+  day: "DATE(o.created_at)",
+  week: "DATE_SUB(DATE(o.created_at), INTERVAL WEEKDAY(o.created_at) DAY)",
+  month: "DATE_FORMAT(o.created_at, '%Y-%m-01')"
+};
+
+export const REPORT_INTERVALS = Object.keys(BUCKETS);
+
+// Validated query ({ from, to, include_cancelled }) -> filters
+export const reportFilters = (query) => ({
+  from: query.from || null,
+  to: query.to || null,
+  includeCancelled: query.include_cancelled === true
+});
+
+const buildWhere = ({ from, to, includeCancelled }, { alwaysIncludeCancelled = false } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (from) {
+    conditions.push("o.created_at >= ?");
+    params.push(from);
+  }
+  if (to) {
+    conditions.push("o.created_at < DATE_ADD(?, INTERVAL 1 DAY)");
+    params.push(to);
+  }
+  if (!includeCancelled && !alwaysIncludeCancelled) {
+    conditions.push("o.status NOT IN (?)");
+    params.push(RESTOCK_STATUSES);
+  }
+
+  return {
+    where: conditions.length ? `WHERE ${conditions.join(" AND ")}` : "",
+    params
+  };
+};
+
+export const createReports = (db) => ({
+  async revenueOverTime(filters, interval = "day") {
+    const bucket = BUCKETS[interval];
+    if (!bucket) throw new Error(`Unknown interval: ${interval}`);
+
+    const { where, params } = buildWhere(filters);
+    const [rows] = await db.query(
+      `SELECT ${bucket} AS period, COUNT(*) AS order_count, SUM(o.total) AS revenue
+       FROM orders o
+       ${where}
+       GROUP BY period
+       ORDER BY period`,
+      params
+    );
+    return rows;
+  },
+
+  async topProducts(filters, { by = "revenue", limit = 10 } = {}) {
+    const orderBy = by === "units" ? "units_sold" : "revenue";
+    const { where, params } = buildWhere(filters);
+    const [rows] = await db.query(
+      `SELECT oi.product_id, MAX(oi.product_name) AS product_name,
+              SUM(oi.quantity) AS units_sold, SUM(oi.total) AS revenue
+       FROM order_items oi
+       JOIN orders o ON o.id = oi.order_id
+       ${where}
+       GROUP BY oi.product_id
+       ORDER BY ${orderBy} DESC
+       LIMIT ?`,
+      [...params, limit]
+    );
+    return rows;
+  },
+
+  async averageOrderValue(filters) {
+    const { where, params } = buildWhere(filters);
+    const [[row]] = await db.query(
+      `SELECT COUNT(*) AS order_count, IFNULL(SUM(o.total), 0) AS revenue,
+              IFNULL(AVG(o.total), 0) AS average_order_value
+       FROM orders o
+       ${where}`,
+      params
+    );
+    return row;
+  },
+
+  async salesByPaymentMode(filters) {
+    const { where, params } = buildWhere(filters);
+    const [rows] = await db.query(
+      `SELECT o.payment_mode, COUNT(*) AS order_count, SUM(o.total) AS revenue
+       FROM orders o
+       ${where}
+       GROUP BY o.payment_mode
+       ORDER BY revenue DESC`,
+      params
+    );
+    return rows;
+  },
+
+  async salesByCategory(filters) {
+    const { where, params } = buildWhere(filters);
+    const [rows] = await db.query(
+      `SELECT p.category, SUM(oi.total) AS total_sales
+       FROM order_items oi
+       JOIN orders o ON o.id = oi.order_id
+       JOIN products p ON oi.product_id = p.id
+       ${where}
+       GROUP BY p.category
+       ORDER BY total_sales DESC`,
+      params
+    );
+    return rows;
+  },
+
+  // Always counts every order, since the point is to see the cancelled ones
+  async cancellationRates(filters) {
+    const { where, params } = buildWhere(filters, { alwaysIncludeCancelled: true });
+    const [[row]] = await db.query(
+      `SELECT COUNT(*) AS order_count,
+              SUM(o.status = 'cancelled') AS cancelled_count,
+              SUM(o.status = 'returned') AS returned_count
+       FROM orders o
+       ${where}`,
+      params
+    );
+
+    const total = Number(row.order_count);
+    const cancelled = Number(row.cancelled_count || 0);
+    const returned = Number(row.returned_count || 0);
+    return {
+      order_count: total,
+      cancelled_count: cancelled,
+      returned_count: returned,
+      cancellation_rate: total ? cancelled / total : 0,
+      return_rate: total ? returned / total : 0
+    };
+  }
+});
@@ -0,0 +1,53 @@
+import fs from "fs";
+import path from "path";
+import axios from "axios";
+
+// SMS transports, selected with SMS_DRIVER (console | file | http)
+// Every driver exposes send({ to, text })
+
+const consoleDriver = () => ({
+  async send({ to, text }) {
+    console.log(`[sms] To: ${to}\n${text}`);
+  }
+});
+
+const fileDriver = (dir) => ({
+  async send(message) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const safeTo = String(message.to).replace(/[^0-9+]/g, "_");
+    const file = path.join(dir, `${Date.now()}-${safeTo}.json`);
+    await fs.promises.writeFile(file, JSON.stringify({ ...message, sent_at: new Date() }, null, 2));
+    console.log(`[sms] Written to ${file}`);
+  }
+});
+
+// Generic HTTP gateway: POST SMS_API_URL { to, message, sender } with a bearer SMS_API_KEY
+const httpDriver = () => {
+  if (!process.env.SMS_API_URL) throw new Error("SMS_API_URL is required for the http SMS driver");
+
+  return {
+    async send({ to, text }) {
+      await axios.post(
+        process.env.SMS_API_URL,
+        { to, message: text, sender: process.env.SMS_SENDER },
+        {
+          headers: process.env.SMS_API_KEY ? { Authorization: `Bearer ${process.env.SMS_API_KEY}` } : {},
+          timeout: 10000
+        }
+      );
+    }
+  };
+};
+
+export const createSmsSender = (driver = process.env.SMS_DRIVER || "console") => {
+  switch (driver) {
+    case "console":
+      return consoleDriver();
+    case "file":
+      return fileDriver(process.env.SMS_DIR || path.resolve("sms-outbox"));
+    case "http":
+      return httpDriver();
+    default:
+      throw new Error(`Unknown SMS_DRIVER: ${driver}`);
+  }
+};
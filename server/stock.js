@@ -0,0 +1,255 @@
+// Stock reservation for checkout and its reversal on cancel/return. Every function takes the
+// connection of the caller's transaction; locks are always taken products first, then
+// variants, then batches, each in id order, so concurrent checkouts can't deadlock.
+
+// Keeps products.stock equal to the sum of its variants' stock (no-op for products without variants)
+export const syncVariantStock = async (conn, productId) => {
+  await conn.query(
+    `UPDATE products p
+     JOIN (SELECT product_id, SUM(stock) AS total FROM product_variants WHERE product_id=? GROUP BY product_id) v
+       ON v.product_id = p.id
+     SET p.stock = v.total`,
+    [productId]
+  );
+};
+
+// Takes `quantity` units out of a product's (or variant's) stock batches.
+// Stock that predates batch tracking (stock minus open batches) is used first, then batches oldest first.
+// Batches past their expiry date are never drawn from; they are waiting to be written off.
+// Returns the allocations as [{ batch_id, quantity }].
+export const consumeBatches = async (conn, { productId, variantId, stockBefore, quantity }) => {
+  const [batches] = await conn.query(
+    `SELECT id, quantity_remaining, expires_at < CURDATE() AS expired FROM stock_batches
+     WHERE product_id=? AND variant_id <=> ? AND quantity_remaining > 0 AND written_off_at IS NULL
+     ORDER BY received_at, id
+     FOR UPDATE`,
+    [productId, variantId]
+  );
+
+  // Expired units still count as tracked, or they would be taken for untracked stock
+  const tracked = batches.reduce((sum, b) => sum + b.quantity_remaining, 0);
+  let left = quantity - Math.max(0, stockBefore - tracked);
+
+  const allocations = [];
+  for (const batch of batches.filter(b => !b.expired)) {
+    if (left <= 0) break;
+    const take = Math.min(left, batch.quantity_remaining);
+    await conn.query("UPDATE stock_batches SET quantity_remaining = quantity_remaining - ? WHERE id=?", [take, batch.id]);
+    allocations.push({ batch_id: batch.id, quantity: take });
+    left -= take;
+  }
+  return allocations;
+};
+
+// Puts an order's batch allocations back; batches already written off stay closed
+export const restoreOrderBatches = async (conn, orderId) => {
+  const [allocations] = await conn.query("SELECT batch_id, quantity FROM order_batch_allocations WHERE order_id=?", [orderId]);
+  for (const allocation of allocations) {
+    await conn.query(
+      "UPDATE stock_batches SET quantity_remaining = quantity_remaining + ? WHERE id=? AND written_off_at IS NULL",
+      [allocation.quantity, allocation.batch_id]
+    );
+  }
+  await conn.query("DELETE FROM order_batch_allocations WHERE order_id=?", [orderId]);
+};
+
+// Validates order lines and merges duplicate product/variant pairs into one line each.
+// Returns { lines } or { error }.
+export const normalizeOrderItems = (items) => {
+  if (!Array.isArray(items) || !items.length) return { error: "Missing required fields or items" };
+
+  const merged = new Map();
+  for (const item of items) {
+    const productId = Number(item?.product_id);
+    const variantId = item?.variant_id == null ? null : Number(item.variant_id);
+    const quantity = Number(item?.quantity);
+    if (!Number.isInteger(productId) || productId <= 0) {
+      return { error: "Each item needs a valid product_id" };
+    }
+    if (variantId !== null && (!Number.isInteger(variantId) || variantId <= 0)) {
+      return { error: `variant_id for product ${productId} must be a positive integer` };
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return { error: `Quantity for product ${productId} must be a positive integer` };
+    }
+
+    const key = `${productId}:${variantId ?? ""}`;
+    const line = merged.get(key) || { product_id: productId, variant_id: variantId, quantity: 0 };
+    line.quantity += quantity;
+    merged.set(key, line);
+  }
+
+  return { lines: [...merged.values()] };
+};
+
+// Looks up the product (and variant) of every order line and checks there is enough stock.
+// With `lock`, the rows stay locked for the rest of the transaction.
+// Returns { missing, shortages, resolved }; missing lists lines whose product/variant is unknown.
+export const resolveOrderLines = async (conn, lines, { lock = false } = {}) => {
+  const forUpdate = lock ? "FOR UPDATE" : "";
+  // Lock rows in id order, products before variants before batches, so concurrent checkouts can't deadlock each other
+  const [products] = await conn.query(
+    `SELECT id, name, price, stock, category, archived_at FROM products WHERE id IN (?) ORDER BY id ${forUpdate}`,
+    [lines.map(l => l.product_id)]
+  );
+  const productsById = new Map(products.map(p => [p.id, p]));
+
+  const [variants] = await conn.query(
+    `SELECT id, product_id, name, price, stock FROM product_variants WHERE product_id IN (?) ORDER BY id ${forUpdate}`,
+    [lines.map(l => l.product_id)]
+  );
+  const variantsById = new Map(variants.map(v => [v.id, v]));
+  const productsWithVariants = new Set(variants.map(v => v.product_id));
+
+  // Units in batches past their expiry date are still in the stock totals until the write-off
+  // job runs, but they can't be sold
+  const [expiredBatches] = await conn.query(
+    `SELECT id, product_id, variant_id, quantity_remaining FROM stock_batches
+     WHERE product_id IN (?) AND quantity_remaining > 0 AND written_off_at IS NULL AND expires_at < CURDATE()
+     ORDER BY id ${forUpdate}`,
+    [lines.map(l => l.product_id)]
+  );
+  const expiredByLine = new Map();
+  for (const batch of expiredBatches) {
+    const key = `${batch.product_id}:${batch.variant_id ?? ""}`;
+    expiredByLine.set(key, (expiredByLine.get(key) || 0) + batch.quantity_remaining);
+  }
+
+  const missing = [];
+  const shortages = [];
+  const resolved = [];
+  for (const line of lines) {
+    const product = productsById.get(line.product_id);
+    if (!product) {
+      missing.push({ product_id: line.product_id, variant_id: line.variant_id, reason: "product not found" });
+      continue;
+    }
+    if (product.archived_at) {
+      missing.push({ product_id: line.product_id, variant_id: line.variant_id, reason: "product is no longer available" });
+      continue;
+    }
+
+    let variant = null;
+    if (line.variant_id !== null) {
+      variant = variantsById.get(line.variant_id);
+      if (!variant || variant.product_id !== product.id) {
+        missing.push({ product_id: line.product_id, variant_id: line.variant_id, reason: "variant not found" });
+        continue;
+      }
+    } else if (productsWithVariants.has(product.id)) {
+      missing.push({ product_id: line.product_id, variant_id: null, reason: "variant_id is required for this product" });
+      continue;
+    }
+
+    const stock = variant ? variant.stock : product.stock;
+    const available = Math.max(0, stock - (expiredByLine.get(`${product.id}:${variant?.id ?? ""}`) || 0));
+    if (line.quantity > available) {
+      shortages.push({
+        product_id: product.id,
+        product_name: product.name,
+        variant_id: variant?.id ?? null,
+        variant_name: variant?.name ?? null,
+        requested: line.quantity,
+        available
+      });
+      continue;
+    }
+
+    resolved.push({ line, product, variant });
+  }
+  return { missing, shortages, resolved };
+};
+
+// Priced view of a resolved line
+export const pricedLine = ({ line, product, variant }) => {
+  const price = variant ? variant.price : product.price;
+  return {
+    product_id: product.id,
+    product_name: product.name,
+    variant_id: variant?.id ?? null,
+    variant_name: variant?.name ?? null,
+    category: product.category,
+    quantity: line.quantity,
+    price,
+    total: Number(price) * line.quantity
+  };
+};
+
+// Locks the products (and variants) for the rest of the transaction and deducts stock.
+// Nothing is deducted unless every line can be filled.
+// Returns { missing, shortages, reserved }.
+export const reserveStock = async (conn, lines) => {
+  const { missing, shortages, resolved } = await resolveOrderLines(conn, lines, { lock: true });
+  if (missing.length || shortages.length) return { missing, shortages };
+
+  const reserved = [];
+  for (const { line, product, variant } of resolved) {
+    // Conditional decrement as a second guard; the row lock makes this always succeed
+    const [result] = variant
+      ? await conn.query(
+        "UPDATE product_variants SET stock = stock - ? WHERE id=? AND stock >= ?",
+        [line.quantity, variant.id, line.quantity]
+      )
+      : await conn.query(
+        "UPDATE products SET stock = stock - ? WHERE id=? AND stock >= ?",
+        [line.quantity, product.id, line.quantity]
+      );
+    if (result.affectedRows !== 1) throw new Error(`Stock changed while reserving product ${product.id}`);
+
+    const allocations = await consumeBatches(conn, {
+      productId: product.id,
+      variantId: variant?.id ?? null,
+      stockBefore: variant ? variant.stock : product.stock,
+      quantity: line.quantity
+    });
+
+    reserved.push({
+      ...pricedLine({ line, product, variant }),
+      remaining_stock: (variant ? variant.stock : product.stock) - line.quantity,
+      allocations
+    });
+  }
+
+  for (const productId of new Set(reserved.filter(r => r.variant_id).map(r => r.product_id))) {
+    await syncVariantStock(conn, productId);
+  }
+
+  return { missing, shortages, reserved };
+};
+
+// Puts an order's quantities back into stock (cancel/return). Returns the order's items.
+export const restockOrderItems = async (conn, orderId) => {
+  const [items] = await conn.query("SELECT product_id, variant_id, quantity FROM order_items WHERE order_id=?", [orderId]);
+  const productIds = [...new Set(items.map(i => i.product_id).filter(Boolean))];
+  if (!productIds.length) return items;
+
+  // Same lock order as reserveStock
+  await conn.query("SELECT id FROM products WHERE id IN (?) ORDER BY id FOR UPDATE", [productIds]);
+
+  // Units drawn from batches that have been written off since are spoiled, not back on the shelf
+  const [spoiled] = await conn.query(
+    `SELECT b.product_id, b.variant_id, SUM(a.quantity) AS quantity
+     FROM order_batch_allocations a JOIN stock_batches b ON b.id = a.batch_id
+     WHERE a.order_id=? AND b.written_off_at IS NOT NULL
+     GROUP BY b.product_id, b.variant_id`,
+    [orderId]
+  );
+  const spoiledByLine = new Map(spoiled.map(s => [`${s.product_id}:${s.variant_id ?? ""}`, Number(s.quantity)]));
+
+  for (const item of items) {
+    const key = `${item.product_id}:${item.variant_id ?? ""}`;
+    const skipped = Math.min(item.quantity, spoiledByLine.get(key) || 0);
+    spoiledByLine.set(key, (spoiledByLine.get(key) || 0) - skipped);
+    const quantity = item.quantity - skipped;
+    if (!quantity) continue;
+
+    if (item.variant_id) {
+      await conn.query("UPDATE product_variants SET stock = stock + ? WHERE id=?", [quantity, item.variant_id]);
+    } else {
+      await conn.query("UPDATE products SET stock = stock + ? WHERE id=?", [quantity, item.product_id]);
+    }
+  }
+  for (const productId of productIds) await syncVariantStock(conn, productId);
+  await restoreOrderBatches(conn, orderId);
+  return items;
+};
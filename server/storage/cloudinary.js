@@ -0,0 +1,48 @@
+import axios from "axios";
+import { v2 as cloudinary } from "cloudinary";
+
+// Images hosted on Cloudinary; asset ids are Cloudinary public_ids (e.g. "products/abc123")
+export const createCloudinaryDriver = () => {
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET
+  });
+
+  return {
+    name: "cloudinary",
+
+    async save(buffer, { folder, transformation }) {
+      const result = await new Promise((resolve, reject) => {
+        const stream = cloudinary.uploader.upload_stream(
+          { folder, resource_type: "image", transformation },
+          (err, uploaded) => (err ? reject(err) : resolve(uploaded))
+        );
+        stream.end(buffer);
+      });
+      return { url: result.secure_url, asset_id: result.public_id };
+    },
+
+    async read({ url }) {
+      const response = await axios.get(url, { responseType: "arraybuffer" });
+      return Buffer.from(response.data);
+    },
+
+    async remove(assetId) {
+      await cloudinary.uploader.destroy(assetId);
+    },
+
+    // For rows saved before asset ids were stored:
+    // https://res.cloudinary.com/<cloud>/image/upload/v123/products/sub/name.jpg -> products/sub/name
+    assetIdFromUrl(url) {
+      const [, afterUpload] = String(url || "").split("/upload/");
+      if (!afterUpload) return null;
+
+      // Everything after the version segment is the public_id plus extension
+      const segments = afterUpload.split("?")[0].split("/");
+      const versionIndex = segments.findIndex(s => /^v\d+$/.test(s));
+      const publicPath = segments.slice(versionIndex + 1).join("/");
+      return publicPath.replace(/\.[^./]+$/, "") || null;
+    }
+  };
+};
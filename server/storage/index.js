@@ -0,0 +1,59 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { createCloudinaryDriver } from "./cloudinary.js";
+import { createLocalDriver } from "./local.js";
+
+// Image storage drivers. Every driver exposes:
+//   save(buffer, { folder, filename, transformation }) -> { url, asset_id }
+//   read({ url, asset_id }) -> Buffer
+//   remove(asset_id)
+//   assetIdFromUrl(url) -> asset_id | null (for rows saved before asset ids were stored)
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const STORAGE_DRIVERS = ["cloudinary", "local"];
+
+// image_storage of images hosted elsewhere (a pasted URL); we never remove those
+export const EXTERNAL_STORAGE = "external";
+
+export const DEFAULT_STORAGE_DRIVER = process.env.STORAGE_DRIVER || "cloudinary";
+
+export const LOCAL_UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, "..", "uploads");
+
+const drivers = new Map();
+
+export const getStorageDriver = (name = DEFAULT_STORAGE_DRIVER) => {
+  if (!drivers.has(name)) {
+    switch (name) {
+      case "cloudinary":
+        drivers.set(name, createCloudinaryDriver());
+        break;
+      case "local":
+        drivers.set(name, createLocalDriver({
+          root: LOCAL_UPLOADS_DIR,
+          baseUrl: `${process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 5500}`}/uploads`
+        }));
+        break;
+      default:
+        throw new Error(`Unknown STORAGE_DRIVER: ${name}`);
+    }
+  }
+  return drivers.get(name);
+};
+
+// Which driver holds an image. Rows without image_storage predate the storage layer: those
+// with a Cloudinary URL live there, anything else is external.
+export const imageStorageOf = ({ image_url, image_storage }) => {
+  if (image_storage) return image_storage;
+  return String(image_url || "").includes("res.cloudinary.com") ? "cloudinary" : EXTERNAL_STORAGE;
+};
+
+// Removes a stored image; external images are left alone
+export const removeStoredImage = async (image) => {
+  const storage = imageStorageOf(image);
+  if (storage === EXTERNAL_STORAGE) return;
+
+  const driver = getStorageDriver(storage);
+  const assetId = image.image_asset_id || driver.assetIdFromUrl(image.image_url);
+  if (assetId) await driver.remove(assetId);
+};
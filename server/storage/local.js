@@ -0,0 +1,47 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Images on the local filesystem under `root`, served from `baseUrl`.
+// Asset ids are paths relative to root (e.g. "products/1700000000000-ab12cd34.jpg").
+export const createLocalDriver = ({ root, baseUrl }) => {
+  const resolveAsset = (assetId) => {
+    const filePath = path.resolve(root, assetId);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Asset id escapes storage root: ${assetId}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+    root,
+
+    async save(buffer, { folder, filename }) {
+      const ext = path.extname(filename || "").toLowerCase() || ".jpg";
+      const assetId = `${folder}/${Date.now()}-${crypto.randomBytes(4).toString("hex")}${ext}`;
+      const filePath = resolveAsset(assetId);
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return { url: `${baseUrl}/${assetId}`, asset_id: assetId };
+    },
+
+    async read({ asset_id }) {
+      return fs.promises.readFile(resolveAsset(asset_id));
+    },
+
+    async remove(assetId) {
+      try {
+        await fs.promises.unlink(resolveAsset(assetId));
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+    },
+
+    assetIdFromUrl(url) {
+      const prefix = `${baseUrl}/`;
+      return url && url.startsWith(prefix) ? url.slice(prefix.length) : null;
+    }
+  };
+};
@@ -0,0 +1,157 @@
+import { ValidationError } from "./errors.js";
+
+// Declarative request validation:
+//
+//   app.post("/users", validate({ body: { name: field.string({ required: true, max: 255 }) } }), handler)
+//
+// Values are coerced where that is unambiguous (multipart bodies and query strings arrive as text)
+// and written back to req.body / req.params. Every bad field is reported at once as a 400
+// VALIDATION_ERROR. Fields a schema doesn't mention are left for the handler.
+
+// "YYYY-MM-DD"; the one date format requests and the delivery calendar use
+export const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const rule = (check) => (options = {}) => ({ options, check: (value) => check(value, options) });
+
+export const field = {
+  // trim: false for values where whitespace matters, such as passwords
+  string: rule((value, { min = 0, max, pattern, patternMessage, trim = true }) => {
+    if (typeof value !== "string" && typeof value !== "number") return { error: "must be a string" };
+    const text = trim ? String(value).trim() : String(value);
+    if (text.length < min) return { error: min === 1 ? "must not be empty" : `must be at least ${min} characters` };
+    if (max !== undefined && text.length > max) return { error: `must be at most ${max} characters` };
+    if (pattern && !pattern.test(text)) return { error: patternMessage || "has an invalid format" };
+    return { value: text };
+  }),
+
+  // A string or a number, kept as sent
+  scalar: rule((value) =>
+    typeof value === "string" || (typeof value === "number" && Number.isFinite(value))
+      ? { value }
+      : { error: "must be a string or a number" }
+  ),
+
+  email: rule((value) => {
+    if (typeof value !== "string" || value.length > 255 || !EMAIL_PATTERN.test(value.trim())) {
+      return { error: "must be a valid email address" };
+    }
+    return { value: value.trim() };
+  }),
+
+  number: rule((value, { integer = false, min, max }) => {
+    const number = typeof value === "string" ? Number(value.trim()) : value;
+    if (typeof number !== "number" || !Number.isFinite(number)) return { error: `must be ${integer ? "an integer" : "a number"}` };
+    if (integer && !Number.isInteger(number)) return { error: "must be an integer" };
+    if (min !== undefined && number < min) return { error: `must be at least ${min}` };
+    if (max !== undefined && number > max) return { error: `must be at most ${max}` };
+    return { value: number };
+  }),
+
+  boolean: rule((value) => {
+    if (typeof value === "boolean") return { value };
+    if (["true", "1", 1].includes(value)) return { value: true };
+    if (["false", "0", 0].includes(value)) return { value: false };
+    return { error: "must be true or false" };
+  }),
+
+  enum: rule((value, { values }) =>
+    values.includes(value) ? { value } : { error: `must be one of: ${values.join(", ")}` }
+  ),
+
+  // "YYYY-MM-DD" that is a real calendar date
+  date: rule((value) => {
+    if (typeof value !== "string" || !DATE_PATTERN.test(value)) return { error: "must be a date (YYYY-MM-DD)" };
+    const parsed = new Date(`${value}T00:00:00Z`);
+    if (Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== value) {
+      return { error: "must be a date (YYYY-MM-DD)" };
+    }
+    return { value };
+  }),
+
+  // A date, or a date and time, that Date can parse; the value becomes a Date
+  datetime: rule((value) => {
+    const parsed = typeof value === "string" ? new Date(value) : null;
+    if (!parsed || Number.isNaN(parsed.getTime())) return { error: "must be a date or date and time" };
+    return { value: parsed };
+  }),
+
+  array: rule((value, { of, min = 0, max }) => {
+    if (!Array.isArray(value)) return { error: "must be an array" };
+    if (value.length < min) return { error: min === 1 ? "must not be empty" : `must have at least ${min} entries` };
+    if (max !== undefined && value.length > max) return { error: `must have at most ${max} entries` };
+    if (!of) return { value };
+
+    const items = [];
+    for (const [index, item] of value.entries()) {
+      const result = of.check(item);
+      if (result.error) return { error: `entry ${index + 1} ${result.error}` };
+      items.push(result.value);
+    }
+    return { value: items };
+  }),
+
+  // A plain object; `of` checks every value
+  object: rule((value, { of }) => {
+    if (typeof value !== "object" || value === null || Array.isArray(value)) return { error: "must be an object" };
+    if (!of) return { value };
+
+    const entries = {};
+    for (const [key, item] of Object.entries(value)) {
+      const result = of.check(item);
+      if (result.error) return { error: `${key} ${result.error}` };
+      entries[key] = result.value;
+    }
+    return { value: entries };
+  })
+};
+
+field.integer = (options = {}) => field.number({ ...options, integer: true });
+field.id = (options = {}) => field.number({ ...options, integer: true, min: 1 });
+
+// Returns { value }, { skip } when the field is absent, or { error }
+const checkField = (name, { options, check }, raw) => {
+  const { required = false, nullable = false } = options;
+  if (raw === undefined || raw === "" || (raw === null && !nullable)) {
+    return required ? { error: `${name} is required` } : { skip: true };
+  }
+  if (raw === null) return { value: null };
+
+  const result = check(raw);
+  return result.error ? { error: `${name} ${result.error}` } : result;
+};
+
+const checkSchema = (schema, source = {}) => {
+  const values = {};
+  const errors = {};
+  for (const [name, fieldRule] of Object.entries(schema)) {
+    const result = checkField(name, fieldRule, source[name]);
+    if (result.error) errors[name] = result.error;
+    else if (!result.skip) values[name] = result.value;
+  }
+  return { values, errors };
+};
+
+export const validate = (schemas) => (req, res, next) => {
+  const errors = {};
+  const values = {};
+  for (const location of ["params", "query", "body"]) {
+    if (!schemas[location]) continue;
+    const result = checkSchema(schemas[location], req[location] || {});
+    Object.assign(errors, result.errors);
+    values[location] = result.values;
+  }
+  if (Object.keys(errors).length) return next(new ValidationError(errors));
+
+  if (values.params) Object.assign(req.params, values.params);
+  if (schemas.body) req.body = { ...(req.body || {}), ...values.body };
+  // req.query is recomputed on every read in Express 5, so coerced query values go here
+  if (values.query) req.validQuery = values.query;
+  next();
+};
+
+// Every list endpoint takes these
+export const paginationQuery = {
+  page: field.integer({ min: 1 }),
+  limit: field.integer({ min: 1 })
+};
@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toCSV, parseCSV, parseCSVObjects } from "../server/csv.js";
+
+test("quoted fields keep commas, quotes and line breaks", () => {
+  const csv = toCSV([{ name: 'Rose, "red"', description: "line one\nline two" }], ["name", "description"]);
+  assert.deepEqual(parseCSV(csv), [["name", "description"], ['Rose, "red"', "line one\nline two"]]);
+});
+
+test("formula-like cells survive an export/import round trip", () => {
+  const rows = [{ name: "=SUM(A1:A2)", description: "+63 917 000 0000", category: "-" }];
+  const imported = parseCSVObjects(toCSV(rows, ["name", "description", "category"]));
+  assert.deepEqual(imported, rows);
+});
+
+test("exported formula-like cells are guarded", () => {
+  const csv = toCSV([{ name: "=HYPERLINK(\"x\")" }], ["name"]);
+  assert.equal(parseCSV(csv)[1][0], "'=HYPERLINK(\"x\")");
+});
+
+test("apostrophes that aren't a formula guard are kept", () => {
+  assert.deepEqual(parseCSVObjects("name\r\n'Tis the season\r\n"), [{ name: "'Tis the season" }]);
+  const rows = [{ name: "'=not a formula" }];
+  assert.deepEqual(parseCSVObjects(toCSV(rows, ["name"])), rows);
+});
+
+test("an unterminated quote is an error", () => {
+  assert.throws(() => parseCSV('name\r\n"Rose'), /Unterminated quoted field/);
+});
@@ -0,0 +1,153 @@
+// Concurrency tests for checkout stock reservation. They need a real MySQL database with the
+// migrations applied (npm run migrate); point TEST_DB_HOST, TEST_DB_PORT, TEST_DB_USER,
+// TEST_DB_PASSWORD and TEST_DB_NAME at a scratch database. Skipped when TEST_DB_NAME is unset.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import mysql from "mysql2/promise";
+import { reserveStock } from "../server/stock.js";
+
+const CHECKOUTS = 20;
+const STOCK = 5;
+
+const skip = process.env.TEST_DB_NAME ? false : "set TEST_DB_NAME to run the checkout concurrency tests";
+
+let db;
+const productIds = [];
+
+before(() => {
+  if (skip) return;
+  db = mysql.createPool({
+    host: process.env.TEST_DB_HOST || "localhost",
+    port: process.env.TEST_DB_PORT ? parseInt(process.env.TEST_DB_PORT) : 3306,
+    user: process.env.TEST_DB_USER,
+    password: process.env.TEST_DB_PASSWORD,
+    database: process.env.TEST_DB_NAME,
+    connectionLimit: CHECKOUTS
+  });
+});
+
+after(async () => {
+  if (!db) return;
+  if (productIds.length) await db.query("DELETE FROM products WHERE id IN (?)", [productIds]);
+  await db.end();
+});
+
+const createProduct = async (stock) => {
+  const [result] = await db.query(
+    "INSERT INTO products (name, price, stock, created_at) VALUES (?, 100, ?, NOW())",
+    [`Concurrency test ${Date.now()}-${productIds.length}`, stock]
+  );
+  productIds.push(result.insertId);
+  return result.insertId;
+};
+
+const createBatch = async (productId, quantity, expiresAt) => {
+  const [result] = await db.query(
+    `INSERT INTO stock_batches (product_id, variant_id, quantity_received, quantity_remaining, received_at, expires_at, created_at)
+     VALUES (?, NULL, ?, ?, DATE_SUB(?, INTERVAL 7 DAY), ?, NOW())`,
+    [productId, quantity, quantity, expiresAt, expiresAt]
+  );
+  return result.insertId;
+};
+
+// One checkout in its own transaction, like placeOrder. Resolves to true when stock was reserved.
+const checkout = async (lines) => {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    const { reserved } = await reserveStock(conn, lines);
+    if (!reserved) {
+      await conn.rollback();
+      return false;
+    }
+    await conn.commit();
+    return true;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+};
+
+const parallelCheckouts = (lines) => Promise.all(Array.from({ length: CHECKOUTS }, () => checkout(lines)));
+
+test("parallel checkouts never sell more than the stock", { skip }, async () => {
+  const productId = await createProduct(STOCK);
+
+  const results = await parallelCheckouts([{ product_id: productId, variant_id: null, quantity: 1 }]);
+
+  assert.equal(results.filter(Boolean).length, STOCK);
+  const [[product]] = await db.query("SELECT stock FROM products WHERE id=?", [productId]);
+  assert.equal(product.stock, 0);
+});
+
+test("parallel checkouts never sell more than a variant's stock", { skip }, async () => {
+  const productId = await createProduct(0);
+  const [variant] = await db.query(
+    "INSERT INTO product_variants (product_id, name, price, stock, position, created_at) VALUES (?, 'Small', 100, ?, 0, NOW())",
+    [productId, STOCK]
+  );
+
+  const results = await parallelCheckouts([{ product_id: productId, variant_id: variant.insertId, quantity: 2 }]);
+
+  assert.equal(results.filter(Boolean).length, Math.floor(STOCK / 2));
+  const [[row]] = await db.query("SELECT stock FROM product_variants WHERE id=?", [variant.insertId]);
+  assert.equal(row.stock, STOCK % 2);
+  const [[product]] = await db.query("SELECT stock FROM products WHERE id=?", [productId]);
+  assert.equal(product.stock, STOCK % 2);
+});
+
+test("checkouts skip batches that have expired but aren't written off yet", { skip }, async () => {
+  const productId = await createProduct(4);
+  const expired = await createBatch(productId, 2, "2000-01-01");
+  const fresh = await createBatch(productId, 2, "2999-01-01");
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    const { reserved } = await reserveStock(conn, [{ product_id: productId, variant_id: null, quantity: 2 }]);
+    await conn.commit();
+    assert.deepEqual(reserved[0].allocations, [{ batch_id: fresh, quantity: 2 }]);
+  } finally {
+    conn.release();
+  }
+
+  const [[batch]] = await db.query("SELECT quantity_remaining FROM stock_batches WHERE id=?", [expired]);
+  assert.equal(batch.quantity_remaining, 2);
+});
+
+test("units in expired batches can't be ordered before they are written off", { skip }, async () => {
+  const productId = await createProduct(4);
+  await createBatch(productId, 2, "2000-01-01");
+  await createBatch(productId, 2, "2999-01-01");
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    const { reserved, shortages } = await reserveStock(conn, [{ product_id: productId, variant_id: null, quantity: 4 }]);
+    await conn.rollback();
+    assert.equal(reserved, undefined);
+    assert.deepEqual(shortages.map(s => [s.requested, s.available]), [[4, 2]]);
+  } finally {
+    conn.release();
+  }
+
+  const [[product]] = await db.query("SELECT stock FROM products WHERE id=?", [productId]);
+  assert.equal(product.stock, 4);
+});
+
+test("checkouts locking the same products in opposite order don't deadlock", { skip }, async () => {
+  const first = await createProduct(CHECKOUTS);
+  const second = await createProduct(CHECKOUTS);
+
+  const results = await Promise.all(Array.from({ length: CHECKOUTS }, (_, i) => checkout(
+    i % 2
+      ? [{ product_id: first, variant_id: null, quantity: 1 }, { product_id: second, variant_id: null, quantity: 1 }]
+      : [{ product_id: second, variant_id: null, quantity: 1 }, { product_id: first, variant_id: null, quantity: 1 }]
+  )));
+
+  assert.ok(results.every(Boolean));
+  const [rows] = await db.query("SELECT stock FROM products WHERE id IN (?) ORDER BY id", [[first, second]]);
+  assert.deepEqual(rows.map(r => r.stock), [0, 0]);
+});
@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EXTERNAL_STORAGE, imageStorageOf, removeStoredImage } from "../server/storage/index.js";
+
+test("stored images keep their recorded driver", () => {
+  assert.equal(imageStorageOf({ image_url: "http://localhost:5500/uploads/products/a.jpg", image_storage: "local" }), "local");
+});
+
+test("legacy rows are on Cloudinary only when the URL says so", () => {
+  assert.equal(
+    imageStorageOf({ image_url: "https://res.cloudinary.com/demo/image/upload/v1/products/a.jpg", image_storage: null }),
+    "cloudinary"
+  );
+  assert.equal(imageStorageOf({ image_url: "https://example.com/rose.jpg", image_storage: null }), EXTERNAL_STORAGE);
+});
+
+test("removing an external image touches no storage driver", async () => {
+  await removeStoredImage({ image_url: "https://example.com/rose.jpg", image_storage: EXTERNAL_STORAGE, image_asset_id: null });
+  await removeStoredImage({ image_url: "https://example.com/rose.jpg", image_storage: null, image_asset_id: null });
+});